@@ -0,0 +1,212 @@
+import fs from 'fs';
+import path from 'path';
+import { detectElementFormat, parseOmm } from '../../src/services/omm.js';
+import { tleMetadata, decodeCatalogNumber } from '../../src/services/tle.js';
+import { providersFromEnv, fetchFromProviders } from './providers.js';
+
+/**
+ * The deduplicated catalog shared by the API routes: fetched group by group through the
+ * provider chain and cached in /tmp between invocations.
+ */
+
+const CACHE_DURATION = 12 * 60 * 60 * 1000; // 12 hours in milliseconds
+const CACHE_FILE = path.join('/tmp', 'satellite-data-cache-v4.json');
+
+const GROUP_MAP = [
+    { key: 'stations', label: 'STATION' },
+    { key: 'starlink', label: 'PAYLOAD' },
+    { key: 'oneweb', label: 'PAYLOAD' },
+    { key: 'iridium-NEXT', label: 'PAYLOAD' },
+    { key: 'gps-ops', label: 'PAYLOAD' },
+    { key: 'glo-ops', label: 'PAYLOAD' },
+    { key: 'beidou', label: 'PAYLOAD' },
+    { key: 'galileo', label: 'PAYLOAD' },
+    { key: 'planet', label: 'PAYLOAD' },
+    { key: 'spire', label: 'PAYLOAD' },
+    { key: 'weather', label: 'PAYLOAD' },
+    { key: 'noaa', label: 'PAYLOAD' },
+    { key: 'goes', label: 'PAYLOAD' },
+    { key: 'resource', label: 'PAYLOAD' },
+    { key: 'science', label: 'PAYLOAD' },
+    { key: 'active', label: 'PAYLOAD' },
+    { key: 'cosmos-1408-debris', label: 'DEBRIS' },
+    { key: 'fengyun-1c-debris', label: 'DEBRIS' },
+    { key: 'iridium-33-debris', label: 'DEBRIS' },
+    { key: 'cosmos-2251-debris', label: 'DEBRIS' }
+];
+
+const validateTLEChecksum = (line) => {
+    if (!line || line.length < 69) return false;
+    const check = line[68];
+    let sum = 0;
+    for (let i = 0; i < 68; i++) {
+        const char = line[i];
+        if (char >= '0' && char <= '9') sum += parseInt(char);
+        else if (char === '-') sum += 1;
+    }
+    return (sum % 10) === parseInt(check);
+};
+
+const classifyCategory = (name, categoryLabel) => {
+    if (categoryLabel === 'STATION' || name.includes('ISS') || name.includes('CSS') || name.includes('TIANGONG')) {
+        return 'STATION';
+    }
+    if (categoryLabel === 'DEBRIS' || name.includes('DEB') || name.includes('R/B')) {
+        return 'DEBRIS';
+    }
+    return 'PAYLOAD';
+};
+
+const parseSingleTLE = (name, tle1, tle2, categoryLabel, groupKey) => {
+    if (!validateTLEChecksum(tle1) || !validateTLEChecksum(tle2)) return null;
+    const noradId = decodeCatalogNumber(tle2.substring(2, 7));
+    if (!noradId) return null;
+
+    return {
+        name: name.trim(),
+        tle1: tle1.trim(),
+        tle2: tle2.trim(),
+        id: noradId,
+        ...tleMetadata(tle1, tle2),
+        category: classifyCategory(name, categoryLabel),
+        groups: [groupKey]
+    };
+};
+
+const parseBulkTLE = (text, categoryLabel, groupKey) => {
+    const lines = text.trim().split(/\r?\n/);
+    const sats = [];
+    for (let i = 0; i < lines.length; i += 3) {
+        if (i + 2 >= lines.length) break;
+        const sat = parseSingleTLE(lines[i], lines[i + 1], lines[i + 2], categoryLabel, groupKey);
+        if (sat) sats.push(sat);
+    }
+    return sats;
+};
+
+/**
+ * OMM records keep their full element set; the client builds satrecs from it directly.
+ */
+const parseOmmRecords = (text, format, categoryLabel, groupKey) => {
+    return parseOmm(text, format).map(omm => ({
+        name: omm.OBJECT_NAME,
+        id: decodeCatalogNumber(omm.NORAD_CAT_ID),
+        objectId: omm.OBJECT_ID,
+        epoch: omm.EPOCH,
+        elementSetNo: omm.ELEMENT_SET_NO,
+        category: classifyCategory(omm.OBJECT_NAME, categoryLabel),
+        groups: [groupKey],
+        omm
+    }));
+};
+
+/**
+ * Accepts 3-line TLE text or OMM in JSON, XML or CSV encoding.
+ */
+const parseElementData = (text, categoryLabel, groupKey) => {
+    const format = detectElementFormat(text);
+    if (format === 'tle') return parseBulkTLE(text, categoryLabel, groupKey);
+    try {
+        return parseOmmRecords(text, format, categoryLabel, groupKey);
+    } catch (error) {
+        console.error(`[API] Unreadable ${format.toUpperCase()} element data for ${groupKey}:`, error.message);
+        return [];
+    }
+};
+
+const fetchGroupData = async (group, providers) => {
+    const { provider, satellites } = await fetchFromProviders(
+        providers,
+        group.key,
+        (text) => parseElementData(text, group.label, group.key)
+    );
+    if (provider) {
+        console.log(`[API] Fetched ${satellites.length} satellites from ${group.key} via ${provider}`);
+    } else {
+        console.error(`[API] No provider returned data for ${group.key}`);
+    }
+    return satellites;
+};
+
+const loadCache = () => {
+    try {
+        if (fs.existsSync(CACHE_FILE)) {
+            const cacheData = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
+            const age = Date.now() - cacheData.timestamp;
+
+            if (age < CACHE_DURATION) {
+                console.log(`[API] Cache hit - age: ${Math.round(age / 3600000)}h, satellites: ${cacheData.data.length}`);
+                return cacheData;
+            } else {
+                console.log(`[API] Cache expired - age: ${Math.round(age / 3600000)}h`);
+            }
+        }
+    } catch (error) {
+        console.error('[API] Cache read error:', error.message);
+    }
+    return null;
+};
+
+const saveCache = (data) => {
+    try {
+        const cacheData = {
+            data,
+            timestamp: Date.now()
+        };
+        fs.writeFileSync(CACHE_FILE, JSON.stringify(cacheData), 'utf8');
+        console.log(`[API] Cached ${data.length} satellites`);
+    } catch (error) {
+        console.error('[API] Cache write error:', error.message);
+    }
+};
+
+/**
+ * Returns the catalog from the cache, or fetches and caches it when the cache is missing or stale.
+ * @returns {Promise<{ satellites: Array, cached: boolean, timestamp: number, age?: number }|null>}
+ *   null when no provider returned any data
+ */
+export const loadCatalog = async () => {
+    // Check cache first
+    const cached = loadCache();
+    if (cached) {
+        return {
+            satellites: cached.data,
+            cached: true,
+            timestamp: cached.timestamp,
+            age: Date.now() - cached.timestamp
+        };
+    }
+
+    // Fetch fresh data
+    console.log('[API] Fetching fresh satellite data...');
+    const allSatellites = [];
+    const seenById = new Map();
+
+    // Fetch all groups in parallel, each walking the provider chain in order
+    const providers = providersFromEnv();
+    const results = await Promise.all(GROUP_MAP.map(group => fetchGroupData(group, providers)));
+
+    // Deduplicate satellites, keeping the first record and every group it appeared in
+    for (const groupSats of results) {
+        for (const sat of groupSats) {
+            const seen = seenById.get(sat.id);
+            if (!seen) {
+                seenById.set(sat.id, sat);
+                allSatellites.push(sat);
+            } else if (!seen.groups.includes(sat.groups[0])) {
+                seen.groups.push(sat.groups[0]);
+            }
+        }
+    }
+
+    if (allSatellites.length === 0) return null;
+
+    // Save to cache
+    saveCache(allSatellites);
+
+    return {
+        satellites: allSatellites,
+        cached: false,
+        timestamp: Date.now()
+    };
+};
@@ -0,0 +1,121 @@
+import { tleToOmm, ommToTle, decodeCatalogNumber } from '../../src/services/tle.js';
+
+export const OUTPUT_FORMATS = ['json', 'tle', 'csv', 'omm'];
+
+const CSV_COLUMNS = [
+    'OBJECT_NAME', 'OBJECT_ID', 'EPOCH', 'MEAN_MOTION', 'ECCENTRICITY', 'INCLINATION',
+    'RA_OF_ASC_NODE', 'ARG_OF_PERICENTER', 'MEAN_ANOMALY', 'EPHEMERIS_TYPE', 'CLASSIFICATION_TYPE',
+    'NORAD_CAT_ID', 'ELEMENT_SET_NO', 'REV_AT_EPOCH', 'BSTAR', 'MEAN_MOTION_DOT', 'MEAN_MOTION_DDOT'
+];
+
+/**
+ * Query values may arrive as a comma list or as a repeated parameter.
+ */
+export const listParam = (value) => {
+    if (value === undefined || value === null) return [];
+    const values = Array.isArray(value) ? value : [value];
+    return values
+        .flatMap(v => String(v).split(','))
+        .map(v => v.trim())
+        .filter(Boolean);
+};
+
+export const intParam = (value, fallback) => {
+    const num = parseInt(Array.isArray(value) ? value[0] : value, 10);
+    return isNaN(num) || num < 0 ? fallback : num;
+};
+
+/**
+ * Reads and validates the catalog query parameters.
+ * Returns { error } when a parameter is unusable.
+ */
+export const parseCatalogQuery = (query = {}) => {
+    const format = (listParam(query.format)[0] || 'json').toLowerCase();
+    if (!OUTPUT_FORMATS.includes(format)) {
+        return { error: `Unsupported format "${format}". Use one of: ${OUTPUT_FORMATS.join(', ')}` };
+    }
+
+    return {
+        categories: listParam(query.category).map(c => c.toUpperCase()),
+        groups: listParam(query.group).map(g => g.toLowerCase()),
+        // Alpha-5 and plain forms of the same catalog number compare equal
+        noradIds: listParam(query.norad).map(id => decodeCatalogNumber(id) || id),
+        name: (listParam(query.name)[0] || '').toUpperCase(),
+        offset: intParam(query.offset, 0),
+        limit: intParam(query.limit, null),
+        format
+    };
+};
+
+/**
+ * Applies the filters and pagination of a parsed query.
+ */
+export const applyCatalogQuery = (satellites, query) => {
+    const noradIds = new Set(query.noradIds);
+
+    const matches = satellites.filter(sat => {
+        if (query.categories.length && !query.categories.includes(sat.category)) return false;
+        if (query.groups.length && !(sat.groups || []).some(g => query.groups.includes(g.toLowerCase()))) return false;
+        if (noradIds.size && !noradIds.has(sat.id)) return false;
+        if (query.name && !sat.name.toUpperCase().includes(query.name)) return false;
+        return true;
+    });
+
+    const end = query.limit === null ? undefined : query.offset + query.limit;
+    return {
+        total: matches.length,
+        matches,
+        satellites: matches.slice(query.offset, end)
+    };
+};
+
+const csvCell = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes satellites in one of the text/OMM formats.
+ * @returns {{ contentType: string, body: string }}
+ */
+export const formatCatalog = (satellites, format) => {
+    if (format === 'tle') {
+        // OMM-sourced objects whose catalog number does not fit the TLE format are left out
+        const lines = satellites
+            .map(sat => {
+                const tle = sat.tle1 ? sat : ommToTle(sat.omm);
+                return tle ? `${sat.name}\n${tle.tle1}\n${tle.tle2}` : null;
+            })
+            .filter(Boolean);
+        return {
+            contentType: 'text/plain; charset=utf-8',
+            body: lines.join('\n') + '\n'
+        };
+    }
+
+    const records = satellites
+        .map(sat => {
+            const omm = sat.omm || tleToOmm(sat);
+            return omm ? { omm, sat } : null;
+        })
+        .filter(Boolean);
+
+    if (format === 'csv') {
+        const header = [...CSV_COLUMNS, 'CATEGORY', 'GROUPS'].join(',');
+        const rows = records.map(({ omm, sat }) => [
+            ...CSV_COLUMNS.map(col => csvCell(omm[col])),
+            csvCell(sat.category),
+            csvCell((sat.groups || []).join(';'))
+        ].join(','));
+        return {
+            contentType: 'text/csv; charset=utf-8',
+            body: [header, ...rows].join('\n') + '\n'
+        };
+    }
+
+    // omm
+    return {
+        contentType: 'application/json; charset=utf-8',
+        body: JSON.stringify(records.map(({ omm }) => omm))
+    };
+};
@@ -0,0 +1,73 @@
+import { listParam } from './catalogQuery.js';
+import { decodeCatalogNumber } from '../../src/services/tle.js';
+import { EPHEMERIS_FRAMES, MAX_EPHEMERIS_POINTS, ephemerisPointCount } from '../../src/services/ephemeris.js';
+
+export const EPHEMERIS_RESPONSE_FORMATS = ['json', 'oem'];
+export const MAX_EPHEMERIS_OBJECTS = 20;
+export const MAX_TOTAL_POINTS = 100000; // across all requested objects
+
+const DEFAULT_SPAN = 24 * 60 * 60 * 1000; // ms
+const DEFAULT_STEP = 60; // s
+
+// YYYY-MM-DD, optionally with a time (T or space separated) and a zone designator
+const ISO_TIME = /^(\d{4}-\d\d-\d\d)(?:[T ](\d\d:\d\d(?::\d\d(?:\.\d+)?)?)(Z|[+-]\d\d:?\d\d)?)?$/i;
+
+/**
+ * Parses an ISO 8601 time; anything without a zone designator is UTC, never server local time.
+ * Other formats Date.parse would accept are rejected, since it reads those in the host's zone.
+ */
+const timeParam = (value, fallback) => {
+    const text = listParam(value)[0];
+    if (!text) return fallback;
+    const match = ISO_TIME.exec(text);
+    if (!match) return NaN;
+    const [, date, time = '00:00', zone = 'Z'] = match;
+    return Date.parse(`${date}T${time}${zone.toUpperCase().replace(/^([+-]\d\d)(\d\d)$/, '$1:$2')}`);
+};
+
+/**
+ * Reads and validates the ephemeris query parameters.
+ * Returns { error } when a parameter is unusable.
+ */
+export const parseEphemerisQuery = (query = {}, now = Date.now()) => {
+    const noradIds = [...new Set(listParam(query.norad).map(id => decodeCatalogNumber(id)))];
+    if (noradIds.length === 0 || noradIds.some(id => !id)) {
+        return { error: 'norad must list one or more NORAD catalog numbers, plain or Alpha-5' };
+    }
+    if (noradIds.length > MAX_EPHEMERIS_OBJECTS) {
+        return { error: `At most ${MAX_EPHEMERIS_OBJECTS} objects per request` };
+    }
+
+    const format = (listParam(query.format)[0] || 'json').toLowerCase();
+    if (!EPHEMERIS_RESPONSE_FORMATS.includes(format)) {
+        return { error: `Unsupported format "${format}". Use one of: ${EPHEMERIS_RESPONSE_FORMATS.join(', ')}` };
+    }
+
+    const frame = (listParam(query.frame)[0] || 'TEME').toUpperCase();
+    if (!EPHEMERIS_FRAMES.includes(frame)) {
+        return { error: `Unsupported frame "${frame}". Use one of: ${EPHEMERIS_FRAMES.join(', ')}` };
+    }
+    if (format === 'oem' && frame === 'GEODETIC') {
+        return { error: 'OEM carries Cartesian states only; use the TEME or ECEF frame' };
+    }
+
+    const start = timeParam(query.start, now);
+    if (isNaN(start)) return { error: 'start must be an ISO 8601 time' };
+    const stop = timeParam(query.stop, start + DEFAULT_SPAN);
+    if (isNaN(stop)) return { error: 'stop must be an ISO 8601 time' };
+    if (stop < start) return { error: 'stop must not be before start' };
+
+    const stepText = listParam(query.step)[0];
+    const stepSeconds = stepText === undefined ? DEFAULT_STEP : Number(stepText);
+    if (!(stepSeconds >= 1)) return { error: 'step must be at least 1 second' };
+
+    const points = ephemerisPointCount(start, stop, stepSeconds);
+    if (points > MAX_EPHEMERIS_POINTS) {
+        return { error: `Span and step give ${points} points per object, the limit is ${MAX_EPHEMERIS_POINTS}` };
+    }
+    if (points * noradIds.length > MAX_TOTAL_POINTS) {
+        return { error: `The request gives ${points * noradIds.length} points, the limit is ${MAX_TOTAL_POINTS}` };
+    }
+
+    return { noradIds, start, stop, stepSeconds, frame, format };
+};
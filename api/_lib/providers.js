@@ -0,0 +1,166 @@
+import fs from 'fs/promises';
+import path from 'path';
+import process from 'process';
+
+/**
+ * Element data providers for the serverless fetcher.
+ *
+ * A provider is { name, timeout, fetchGroup(groupKey, { signal, parse }) }. fetchGroup
+ * hands each raw TLE/OMM text it finds to `parse` and resolves to the first non-empty
+ * result, or [] when it has nothing usable for that group.
+ * Providers are tried in order until one yields satellites.
+ */
+
+export const DEFAULT_TIMEOUT = 10000; // ms per provider attempt
+
+const USER_AGENT = 'Space-Traffic-Model/1.0';
+
+// Formats tried by the local provider, OMM before TLE like the CelesTrak provider
+const LOCAL_EXTENSIONS = ['.json', '.xml', '.csv', '.tle', '.txt'];
+
+const fillTemplate = (template, groupKey) => template.replace(/\{group\}/g, encodeURIComponent(groupKey));
+
+/**
+ * Generic HTTP provider. Every URL template is tried in order; `{group}` is replaced
+ * with the CelesTrak-style group key.
+ */
+export const createHttpProvider = ({ name = 'http', urlTemplates, urlTemplate, timeout = DEFAULT_TIMEOUT, headers = {} }) => {
+    const templates = urlTemplates || [urlTemplate];
+    if (!templates.length || templates.some(t => typeof t !== 'string' || !t)) {
+        throw new Error(`Provider "${name}" needs a urlTemplate`);
+    }
+
+    return {
+        name,
+        timeout,
+        fetchGroup: async (groupKey, { signal, parse }) => {
+            for (const template of templates) {
+                if (signal.aborted) break;
+                const url = fillTemplate(template, groupKey);
+                try {
+                    const response = await fetch(url, {
+                        signal,
+                        headers: { 'User-Agent': USER_AGENT, ...headers }
+                    });
+                    if (!response.ok) continue;
+                    const text = await response.text();
+                    if (!text || text.length <= 50) continue;
+                    const satellites = parse(text);
+                    if (satellites.length > 0) return satellites;
+                } catch (error) {
+                    console.error(`[API] ${name}: ${url} failed:`, error.message);
+                }
+            }
+            return [];
+        }
+    };
+};
+
+/**
+ * CelesTrak GP: OMM JSON first (no 5-digit catalog number limit), then TLE text.
+ * The default timeout covers all three attempts, so it is longer than a single request's.
+ */
+export const createCelestrakProvider = ({ timeout = 3 * DEFAULT_TIMEOUT } = {}) => createHttpProvider({
+    name: 'celestrak',
+    timeout,
+    urlTemplates: [
+        'https://celestrak.org/NORAD/elements/gp.php?GROUP={group}&FORMAT=JSON',
+        'https://celestrak.org/NORAD/elements/gp.php?GROUP={group}&FORMAT=TLE',
+        'https://celestrak.org/NORAD/elements/{group}.txt'
+    ]
+});
+
+/**
+ * Local mirror: reads `<dir>/<group>.{json,xml,csv,tle,txt}`.
+ */
+export const createLocalProvider = ({ name = 'local', dir, timeout = DEFAULT_TIMEOUT }) => {
+    if (!dir) throw new Error(`Provider "${name}" needs a dir`);
+    const root = path.resolve(dir);
+
+    return {
+        name,
+        timeout,
+        fetchGroup: async (groupKey, { signal, parse }) => {
+            // Group keys come from GROUP_MAP, but never let one walk out of the mirror
+            const base = path.resolve(root, groupKey);
+            if (path.dirname(base) !== root) return [];
+
+            for (const ext of LOCAL_EXTENSIONS) {
+                try {
+                    const text = await fs.readFile(base + ext, { encoding: 'utf8', signal });
+                    if (!text.trim()) continue;
+                    const satellites = parse(text);
+                    if (satellites.length > 0) return satellites;
+                } catch (error) {
+                    if (error.code !== 'ENOENT') console.error(`[API] ${name}: ${base + ext} unreadable:`, error.message);
+                }
+            }
+            return [];
+        }
+    };
+};
+
+const FACTORIES = {
+    celestrak: createCelestrakProvider,
+    http: createHttpProvider,
+    local: createLocalProvider
+};
+
+/**
+ * Builds the provider chain from config entries like { type: 'local', dir: '/data' }.
+ */
+export const createProviders = (configs) => configs.map(config => {
+    const factory = FACTORIES[config.type];
+    if (!factory) throw new Error(`Unknown provider type "${config.type}"`);
+    return factory(config);
+});
+
+/**
+ * Reads the provider chain from the environment.
+ * SATELLITE_PROVIDERS holds a JSON array of provider configs; without it the
+ * fetcher uses CelesTrak, preceded by a local mirror when SATELLITE_DATA_DIR is set.
+ */
+export const providersFromEnv = (env = process.env) => {
+    if (env.SATELLITE_PROVIDERS) {
+        try {
+            const configs = JSON.parse(env.SATELLITE_PROVIDERS);
+            if (Array.isArray(configs) && configs.length > 0) return createProviders(configs);
+            console.error('[API] SATELLITE_PROVIDERS must be a non-empty JSON array, using defaults');
+        } catch (error) {
+            console.error('[API] Invalid SATELLITE_PROVIDERS, using defaults:', error.message);
+        }
+    }
+
+    const configs = [{ type: 'celestrak' }];
+    if (env.SATELLITE_DATA_DIR) configs.unshift({ type: 'local', dir: env.SATELLITE_DATA_DIR });
+    return createProviders(configs);
+};
+
+/**
+ * Runs one provider attempt, aborting it once its timeout elapses.
+ */
+const fetchWithTimeout = async (provider, groupKey, parse) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), provider.timeout);
+    try {
+        return await provider.fetchGroup(groupKey, { signal: controller.signal, parse });
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+/**
+ * Walks the provider chain for one group until `parse` returns satellites.
+ * @returns {Promise<{ provider: string|null, satellites: Array }>}
+ */
+export const fetchFromProviders = async (providers, groupKey, parse) => {
+    for (const provider of providers) {
+        try {
+            const satellites = await fetchWithTimeout(provider, groupKey, parse);
+            if (satellites.length > 0) return { provider: provider.name, satellites };
+        } catch (error) {
+            console.error(`[API] ${provider.name}: error fetching ${groupKey}:`, error.message);
+        }
+    }
+    return { provider: null, satellites: [] };
+};
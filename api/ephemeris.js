@@ -0,0 +1,75 @@
+import { parseEphemerisQuery } from './_lib/ephemerisQuery.js';
+import { loadCatalog } from './_lib/catalog.js';
+import { buildSatrec } from '../src/services/propagation.js';
+import { generateEphemeris, ephemerisToJson, ephemerisToOem } from '../src/services/ephemeris.js';
+
+/**
+ * Propagates each requested catalog object over the span.
+ * Objects whose elements SGP4 rejects come back with no states.
+ */
+const propagateObjects = (sats, query) => sats.map(sat => {
+    const object = { name: sat.name, noradId: sat.id, objectId: sat.objectId || null };
+    const satrec = buildSatrec(sat);
+    const states = satrec.error ? [] : generateEphemeris(satrec, query);
+    return { object, states };
+});
+
+export default async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const query = parseEphemerisQuery(req.query);
+    if (query.error) {
+        return res.status(400).json({ error: query.error });
+    }
+
+    try {
+        const catalog = await loadCatalog();
+        if (!catalog) {
+            return res.status(503).json({ error: 'Failed to fetch satellite data from all sources' });
+        }
+
+        const byId = new Map(catalog.satellites.map(sat => [sat.id, sat]));
+        const found = query.noradIds.filter(id => byId.has(id)).map(id => byId.get(id));
+        const missing = query.noradIds.filter(id => !byId.has(id));
+        if (found.length === 0) {
+            return res.status(404).json({ error: 'None of the requested objects are in the catalog', missing });
+        }
+
+        const segments = propagateObjects(found, query);
+        console.log(`[API] Ephemeris for ${segments.length} objects, ${query.frame}, ${query.format}`);
+
+        if (query.format === 'oem') {
+            if (segments.every(({ states }) => states.length === 0)) {
+                return res.status(422).json({ error: 'Propagation failed over the whole span', missing });
+            }
+            res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+            if (missing.length) res.setHeader('X-Missing-Objects', missing.join(','));
+            return res.status(200).send(ephemerisToOem(segments, query));
+        }
+
+        return res.status(200).json({
+            objects: segments.map(({ object, states }) => ephemerisToJson(object, states, query)),
+            missing,
+            cached: catalog.cached,
+            timestamp: catalog.timestamp
+        });
+
+    } catch (error) {
+        console.error('[API] Ephemeris handler error:', error);
+        return res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+}
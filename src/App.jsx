@@ -1,7 +1,7 @@
-import React, { useState, useEffect, useRef, memo } from 'react';
+import React, { useState, useEffect, useRef, useMemo, memo } from 'react';
 import { Canvas, useFrame, useThree } from '@react-three/fiber';
 import { OrbitControls } from '@react-three/drei';
-import { Search, Info, Clock, RotateCcw, Play, Pause, Check } from 'lucide-react';
+import { Search, Info, Clock, RotateCcw, Check } from 'lucide-react';
 import * as THREE from 'three';
 import Earth from './components/Earth';
 import Satellite from './components/Satellite';
@@ -9,33 +9,73 @@ import SatellitesInstanced from './components/SatellitesInstanced';
 import CameraController from './components/CameraController';
 import LoadingScreen from './components/LoadingScreen';
 import NavControls from './components/NavControls';
+import AnalysisDock from './components/AnalysisDock';
+import ConjunctionPanel from './components/ConjunctionPanel';
+import GroundStationPanel from './components/GroundStationPanel';
+import GroundTrack from './components/GroundTrack';
+import GroundTrackControls from './components/GroundTrackControls';
+import StaleFilterControls from './components/StaleFilterControls';
+import RegimeFilterControls from './components/RegimeFilterControls';
+import ColorModeControls from './components/ColorModeControls';
+import ConstellationFilterControls from './components/ConstellationFilterControls';
+import EphemerisExportPanel from './components/EphemerisExportPanel';
+import ClockControls from './components/ClockControls';
+import WatchlistPanel from './components/WatchlistPanel';
+import ManeuverPanel from './components/ManeuverPanel';
+import ElementChartsPanel from './components/ElementChartsPanel';
+import ReentryWatchPanel from './components/ReentryWatchPanel';
+import FragmentationPanel from './components/FragmentationPanel';
+import DebrisDispersal from './components/DebrisDispersal';
+import PopulationPanel from './components/PopulationPanel';
 import { useSatelliteData } from './hooks/useSatelliteData';
+import { useElementReplay } from './hooks/useElementReplay';
+import { useViewStateUrl } from './hooks/useViewStateUrl';
+import { useWatchlist } from './hooks/useWatchlist';
+import { useDecayEstimates } from './hooks/useDecayEstimates';
 import { propagateSatellite, eciToEcef, ecefToGeodetic, formatCoords, getOrbitalPeriod, getSatelliteStats } from './services/propagation';
-import { SIM_STATE } from './services/simulationState';
+import { SIM_STATE, setSimTime } from './services/simulationState';
+import { catalogNumber, decodeCatalogNumber } from './services/tle';
+import { searchSatellites } from './services/satelliteQuery';
+import { epochTime, epochAgeDays, formatAge } from './services/elementAge';
+import { formatUtc } from './services/format';
+import { parseElementHistory, withElementSet } from './services/elementHistory';
+import { CAMERA_STATE, DEFAULT_CATEGORY_FILTERS, DEFAULT_REGIME_FILTERS } from './services/viewState';
+import { classifyRegime } from './services/orbitRegime';
+import { buildColorScale } from './services/colorModes';
+import { sunPosition, eclipseState, findEclipseEvents } from './services/sun';
+import { decayOf, daysToDecay, reentryWatchList, LIFETIME_HORIZON_YEARS } from './services/lifetime';
+import { FRAGMENTATION_EVENTS, fragmentsOf, dispersalModel } from './services/fragmentation';
 
 // High-performance time storage is now in services/simulationState.js
 
+const DEFAULT_GROUND_TRACK = {
+  showTrack: true,
+  showFootprint: true,
+  pastMinutes: 45,
+  futureMinutes: 90,
+  minElevation: 10
+};
+
+// Search results rendered per page of the result list
+const SEARCH_PAGE = 50;
+
+// Element sets older than maxAgeDays are shown as-is, dimmed or hidden
+const DEFAULT_STALE_FILTER = {
+  mode: 'SHOW',
+  maxAgeDays: 7
+};
+
+// Objects predicted to reenter within this many days are flagged and listed
+const DEFAULT_REENTRY_WINDOW = 30;
+
 const SunLight = () => {
   const lightRef = useRef();
   useFrame(() => {
     if (lightRef.current) {
-      const date = new Date(SIM_STATE.simTime);
-      // ECI Frame: Sun moves ~1 degree per day (Annual orbit), not per hour
-      // Calculate approximate Right Ascension (RA) of Sun based on day of year
-      const start = new Date(date.getUTCFullYear(), 0, 0);
-      const diff = date - start;
-      const oneDay = 1000 * 60 * 60 * 24;
-      const dayOfYear = diff / oneDay;
-
-      // Vernal Equinox (~March 20, Day 79) is RA 0 (Angle 0)
-      // We adjust phase so Day 79 ~= 0 radians
-      // OFFSET: Adding Math.PI (180 deg) because the Earth texture/rotation vs Sun seems flipped 180 degrees
-      // (Fixes "America Midday when it should be Night" issue)
-      const angle = ((dayOfYear - 79) / 365.25) * Math.PI * 2 + Math.PI;
-
-      // Distance far enough to be directional
-      const distance = 100;
-      lightRef.current.position.set(Math.cos(angle) * distance, 0, Math.sin(angle) * distance);
+      // Same ECI -> scene mapping as the satellites: (x, y, z) -> (x, z, -y)
+      const sun = sunPosition(SIM_STATE.simTime);
+      const scale = 100 / Math.sqrt(sun.x * sun.x + sun.y * sun.y + sun.z * sun.z);
+      lightRef.current.position.set(sun.x * scale, sun.z * scale, -sun.y * scale);
     }
   });
   return (
@@ -75,53 +115,51 @@ const ClockDisplay = () => {
       <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
         <Clock size={12} color="#ED1C2E" />
         <span style={{ color: '#666', fontSize: '12px' }}>MODEL:</span>
-        <span style={{ color: '#ED1C2E', fontSize: '12px' }}>{new Date(SIM_STATE.simTime).toLocaleTimeString()}</span>
+        <span style={{ color: '#ED1C2E', fontSize: '12px' }}>{formatUtc(SIM_STATE.simTime)}</span>
       </div>
     </div>
   );
 };
 
 // Extracted Historical Panel Component
-const HistoricalPanel = memo(({ selectedSat }) => {
+const HISTORY_SPAN_DAYS = 7;
+
+const HistoricalPanel = memo(({ selectedSat, replaySets, activeIndex, onReplay }) => {
   const [historyDate, setHistoryDate] = useState('');
+  const [historySpan, setHistorySpan] = useState(HISTORY_SPAN_DAYS);
   const [historicalTLE, setHistoricalTLE] = useState(null);
+  const [historyMessage, setHistoryMessage] = useState(null);
   const [fetchingHistory, setFetchingHistory] = useState(false);
 
   // Reset when satellite changes
   useEffect(() => {
     setHistoricalTLE(null);
+    setHistoryMessage(null);
     setHistoryDate('');
   }, [selectedSat?.id]);
 
-  const extractNoradId = (sat) => {
-    if (sat.tle2 && sat.tle2.length > 7) {
-      return sat.tle2.substring(2, 7).trim();
-    }
-    return sat.id.split('-')[0];
-  };
-
-  const cleanTLE = (text) => {
-    const lines = text.trim().split('\n').filter(l => l.trim().length > 0);
-    // User requested full data, removing slice(0, 3) which limited to 1 entry
-    return lines.join('\n');
-  };
-
-  const fetchHistory = async (date) => {
+  const fetchHistory = async (date, spanDays) => {
     if (!selectedSat || !date) return;
     setFetchingHistory(true);
     setHistoricalTLE(null);
+    setHistoryMessage(null);
+    onReplay(null);
 
-    const noradId = extractNoradId(selectedSat);
+    const noradId = catalogNumber(selectedSat);
     const start = `${date}`;
-    const end = `${date}`;
+    const end = new Date(Date.parse(`${date}T00:00:00Z`) + spanDays * 86400000).toISOString().substring(0, 10);
     const primaryUrl = `https://celestrak.org/NORAD/elements/gp.php?CATNR=${noradId}&START=${start}&STOP=${end}&FORMAT=TLE`;
 
     try {
       const res = await fetch(primaryUrl);
       if (res.ok) {
         const text = await res.text();
-        if (text && !text.includes('No GP data found')) {
-          setHistoricalTLE(`SOURCE: CELESTRAK\n${cleanTLE(text)}`);
+        const sets = text && !text.includes('No GP data found') ? parseElementHistory(text) : [];
+        if (sets.length > 0) {
+          setHistoricalTLE(text.trim());
+          onReplay(sets);
+          // Start the replay at the first historical epoch
+          setSimTime(sets[0].epoch);
           setFetchingHistory(false);
           return;
         }
@@ -130,28 +168,26 @@ const HistoricalPanel = memo(({ selectedSat }) => {
       console.warn('CelesTrak history failed:', e);
     }
 
-    try {
-      setHistoricalTLE("BACKUP SOURCE (SATCAT): NO PUBLIC HISTORY AVAILABLE");
-    } catch (e) {
-      setHistoricalTLE("ERROR FETCHING HISTORY");
-    }
+    setHistoryMessage("BACKUP SOURCE (SATCAT): NO PUBLIC HISTORY AVAILABLE");
     setFetchingHistory(false);
   };
 
   if (!selectedSat) return null;
 
+  const activeSet = replaySets && activeIndex >= 0 ? replaySets[activeIndex] : null;
+
   return (
     <div className="border-animate" style={{ borderTopColor: '#111', marginTop: '10px', paddingTop: '10px', width: '100%', borderTopWidth: '1px', borderTopStyle: 'solid', animationDelay: '0.5s' }}>
       <div className="reveal-mask"><div className="reveal-item stagger-10" style={{ color: '#666', fontSize: '10px', marginBottom: '4px' }}>HISTORICAL DATA</div></div>
 
       <div className="reveal-mask">
-        <div className="reveal-item stagger-11">
+        <div className="reveal-item stagger-11" style={{ display: 'flex', gap: '6px', marginBottom: '6px' }}>
           <input
             type="date"
             value={historyDate}
             onChange={(e) => {
               setHistoryDate(e.target.value);
-              fetchHistory(e.target.value);
+              fetchHistory(e.target.value, historySpan);
             }}
             style={{
               background: 'none',
@@ -161,74 +197,90 @@ const HistoricalPanel = memo(({ selectedSat }) => {
               fontFamily: 'Unbounded',
               padding: '6px',
               borderRadius: '4px',
-              width: 'calc(100% - 14px)',
-              marginBottom: '6px',
+              flex: 1,
               cursor: 'pointer'
             }}
           />
+          <input
+            className="field-input"
+            type="number"
+            min="1"
+            max="60"
+            title="DAYS OF HISTORY"
+            value={historySpan}
+            onChange={(e) => {
+              const days = parseInt(e.target.value, 10);
+              if (!isNaN(days) && days > 0) setHistorySpan(Math.min(days, 60));
+            }}
+            style={{ width: '48px' }}
+          />
         </div>
       </div>
 
       {fetchingHistory && <div className="reveal-mask"><div className="reveal-item stagger-6" style={{ color: '#888', fontStyle: 'italic', fontSize: '10px' }}>Querying archives...</div></div>}
 
-      {historicalTLE && (
-        <div className="fade-in" style={{ position: 'relative', marginTop: '5px' }}>
-          <div
-            style={{
-              border: '1px solid #333',
-              borderRadius: '4px',
-              position: 'relative',
-              padding: '10px',
-              background: 'none'
-            }}
-          >
-            <pre style={{
-              fontSize: '10px',
-              overflowX: 'auto',
-              color: '#fff',
-              fontFamily: 'monospace',
-              margin: 0,
-              whiteSpace: 'pre' // prevent wrapping
-            }}>
-              {historicalTLE.split('\n').map((line, i) => (
-                <div key={i} className="reveal-mask" style={{ width: 'fit-content' }}>
-                  {/* Stagger each line: stagger-1 is too fast, lets start from 5 and go up */}
-                  <div className={`reveal-item stagger-${Math.min(i + 3, 10)}`} style={{ minHeight: '12px' }}>
-                    {line}
-                  </div>
-                </div>
-              ))}
-            </pre>
-
-            <div className="reveal-mask" style={{ position: 'absolute', top: '4px', right: '4px' }}>
-              <div className="reveal-item stagger-8">
-                <button
-                  className="btn-interactive"
-                  onClick={() => navigator.clipboard.writeText(historicalTLE.split('\n').slice(1).join('\n'))}
-                  style={{
-                    background: '#222',
-                    border: '1px solid #333',
-                    color: '#fff',
-                    fontSize: '10px',
-                    borderRadius: '2px',
-                    fontFamily: 'Unbounded',
-                    padding: '4px 8px',
-                  }}
-                >
-                  COPY
-                </button>
-              </div>
+      {historyMessage && <div className="fade-in" style={{ color: '#888', fontSize: '10px' }}>{historyMessage}</div>}
+
+      {replaySets && replaySets.length > 0 && (
+        <div className="fade-in" style={{ marginTop: '5px', border: '1px solid #333', borderRadius: '4px', padding: '8px' }}>
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '6px', marginBottom: '6px', fontSize: '9px' }}>
+            <span style={{ color: '#ED1C2E' }}>
+              REPLAY: {replaySets.length} SETS{activeSet ? ` · #${activeIndex + 1}` : ''}
+            </span>
+            <div style={{ display: 'flex', gap: '4px' }}>
+              <button
+                className="btn-interactive"
+                onClick={() => navigator.clipboard.writeText(historicalTLE || '')}
+                style={{ background: '#222', border: '1px solid #333', color: '#fff', fontSize: '9px', borderRadius: '2px', fontFamily: 'Unbounded', padding: '3px 6px' }}
+              >
+                COPY
+              </button>
+              <button
+                className="btn-interactive"
+                onClick={() => onReplay(null)}
+                style={{ background: '#222', border: '1px solid #333', color: '#fff', fontSize: '9px', borderRadius: '2px', fontFamily: 'Unbounded', padding: '3px 6px' }}
+              >
+                STOP
+              </button>
             </div>
           </div>
+
+          <div style={{ maxHeight: '140px', overflowY: 'auto' }}>
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>EPOCH (UTC)</th>
+                  <th>SET</th>
+                </tr>
+              </thead>
+              <tbody>
+                {replaySets.map((set, i) => (
+                  <tr key={set.epoch} className={i === activeIndex ? 'selected' : ''} onClick={() => setSimTime(set.epoch)}>
+                    <td>{formatUtc(set.epoch)}</td>
+                    <td>{set.elementSetNo || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <ManeuverPanel sets={replaySets} onSelectTime={setSimTime} />
         </div>
       )}
     </div>
   );
 });
 
-const TelemetryPanel = memo(({ selectedSatId, satellites }) => {
+// Upcoming eclipse times are searched once and reused until the clock passes one of them
+const ECLIPSE_RECOMPUTE = 12 * 60 * 60 * 1000;
+
+const formatDay = (time) => new Date(time).toISOString().substring(0, 10);
+
+const TelemetryPanel = memo(({ selectedSat, maxAgeDays, reentryDays }) => {
   const [telemetry, setTelemetry] = useState(null);
-  const selectedSat = satellites.find(s => s.id === selectedSatId);
+  const eclipseRef = useRef(null);
+  // Replayed element sets carry their own satrec, so they get their own estimate
+  const decay = useMemo(() => (selectedSat ? decayOf(selectedSat) : null), [selectedSat]);
 
   // Reset history when satellite changes
   useEffect(() => {
@@ -237,43 +289,36 @@ const TelemetryPanel = memo(({ selectedSatId, satellites }) => {
       return;
     }
     const interval = setInterval(() => {
-      const pv = propagateSatellite(selectedSat.tle1, selectedSat.tle2, new Date(SIM_STATE.simTime));
-      const stats = getSatelliteStats(selectedSat.tle1, selectedSat.tle2, new Date(SIM_STATE.simTime));
+      const pv = propagateSatellite(selectedSat.satrec, new Date(SIM_STATE.simTime));
+      const stats = getSatelliteStats(selectedSat, new Date(SIM_STATE.simTime));
       if (pv && stats) {
         const ecf = eciToEcef(pv.position, new Date(SIM_STATE.simTime));
-        const geo = ecefToGeodetic(ecf, new Date(SIM_STATE.simTime));
+        const geo = ecefToGeodetic(ecf);
+
+        const time = SIM_STATE.simTime;
+        const cached = eclipseRef.current;
+        const expires = cached ? Math.min(cached.entry ?? Infinity, cached.exit ?? Infinity, cached.from + ECLIPSE_RECOMPUTE) : 0;
+        if (!cached || cached.satrec !== selectedSat.satrec || time < cached.from || time >= expires) {
+          eclipseRef.current = { satrec: selectedSat.satrec, from: time, ...findEclipseEvents(selectedSat.satrec, time) };
+        }
+
         setTelemetry({
           ...formatCoords(geo),
           ...stats,
           eci: pv.position,
           category: selectedSat.category,
-          noradId: extractNoradId(selectedSat)
+          noradId: catalogNumber(selectedSat),
+          epoch: epochTime(selectedSat),
+          epochAge: epochAgeDays(selectedSat),
+          regime: classifyRegime(selectedSat.satrec),
+          illumination: eclipseState(pv.position, sunPosition(time)),
+          eclipseEntry: eclipseRef.current.entry,
+          eclipseExit: eclipseRef.current.exit
         });
       }
     }, 500);
     return () => clearInterval(interval);
-  }, [selectedSatId, satellites]);
-
-  const extractNoradId = (sat) => {
-    // Helper to try and pull NORAD ID from TLE line 2 or ID field
-    // Standard TLE: Line 2 chars 2-7
-    if (sat.tle2 && sat.tle2.length > 7) {
-      return sat.tle2.substring(2, 7).trim();
-    }
-    return sat.id.split('-')[0];
-  };
-
-  const formatIntlId = (rawId) => {
-    if (!rawId) return 'N/A';
-    // Expands YYNNNPPP -> YYYY-NNNPPP (e.g. 98067A -> 1998-067A)
-    const yy = parseInt(rawId.substring(0, 2), 10);
-    if (!isNaN(yy)) {
-      const fullYear = yy >= 57 ? 1900 + yy : 2000 + yy;
-      const rest = rawId.substring(2);
-      return `${fullYear}-${rest}`;
-    }
-    return rawId;
-  };
+  }, [selectedSat]);
 
   if (!selectedSat || !telemetry) return null;
 
@@ -289,7 +334,26 @@ const TelemetryPanel = memo(({ selectedSatId, satellites }) => {
       <div style={{ fontSize: '10px', display: 'flex', flexDirection: 'column', gap: '4px' }}>
         <div className="reveal-mask"><div className="reveal-item stagger-2" style={{ fontWeight: 700, fontSize: '12px' }}>{selectedSat.name}</div></div>
         <div className="reveal-mask"><div className="reveal-item stagger-2" style={{ color: '#888', fontSize: '10px' }}>NORAD ID: {telemetry.noradId}</div></div>
-        <div className="reveal-mask"><div className="reveal-item stagger-2" style={{ color: '#888', fontSize: '10px' }}>COSPAR ID: {formatIntlId(telemetry.intlId)}</div></div>
+        <div className="reveal-mask"><div className="reveal-item stagger-2" style={{ color: '#888', fontSize: '10px' }}>COSPAR ID: {telemetry.intlId || 'N/A'}</div></div>
+        <div className="reveal-mask"><div className="reveal-item stagger-2" style={{ color: '#888', fontSize: '10px' }}>REGIME: {telemetry.regime || 'N/A'}</div></div>
+        <div className="reveal-mask"><div className="reveal-item stagger-2" style={{ color: !selectedSat.replay && telemetry.epochAge > maxAgeDays ? '#ED1C2E' : '#888', fontSize: '10px' }}>
+          {selectedSat.replay ? 'HISTORICAL EPOCH' : 'EPOCH'}: {formatUtc(telemetry.epoch)} ({formatAge(telemetry.epochAge)} OLD{!selectedSat.replay && telemetry.epochAge > maxAgeDays ? ', STALE' : ''})
+        </div></div>
+        <div className="reveal-mask"><div className="reveal-item stagger-2" style={{ color: telemetry.illumination === 'SUNLIT' ? '#888' : '#fff', fontSize: '10px' }}>
+          ILLUMINATION: {telemetry.illumination}
+        </div></div>
+        <div className="reveal-mask"><div className="reveal-item stagger-2" style={{ color: '#888', fontSize: '10px' }}>
+          ECLIPSE ENTRY: {telemetry.eclipseEntry !== null ? formatUtc(telemetry.eclipseEntry) : 'NONE IN 24H'}
+        </div></div>
+        <div className="reveal-mask"><div className="reveal-item stagger-2" style={{ color: '#888', fontSize: '10px' }}>
+          ECLIPSE EXIT: {telemetry.eclipseExit !== null ? formatUtc(telemetry.eclipseExit) : 'NONE IN 24H'}
+        </div></div>
+        <div className="reveal-mask"><div className="reveal-item stagger-2" style={{ color: daysToDecay(decay) <= reentryDays ? '#ED1C2E' : '#888', fontSize: '10px' }}>
+          DECAY EST: {!decay ? 'N/A' : decay.beyond
+            ? `> ${LIFETIME_HORIZON_YEARS} Y`
+            : `${formatDay(decay.date)} (${formatDay(decay.early)} – ${decay.lateBeyond ? 'AFTER ' : ''}${formatDay(decay.late)})`}
+          {daysToDecay(decay) <= reentryDays ? `, REENTRY WITHIN ${reentryDays} DAYS` : ''}
+        </div></div>
 
         <div style={{ marginTop: '5px', display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' }}>
           <div>
@@ -328,6 +392,7 @@ const TelemetryPanel = memo(({ selectedSatId, satellites }) => {
 
 function App() {
   const { satellites, loading, error, status } = useSatelliteData();
+  const decayEstimates = useDecayEstimates(satellites);
   const [selectedSatId, setSelectedSatId] = useState(null);
   const [hoveredSatId, setHoveredSatId] = useState(null);
   const [deferredHoverId, setDeferredHoverId] = useState(null);
@@ -344,9 +409,32 @@ function App() {
   const [navMode, setNavMode] = useState('PAN'); // Default to PAN mode
   const [selectedSatPos, setSelectedSatPos] = useState(null);
   const [search, setSearch] = useState('');
+  const [highlightMatches, setHighlightMatches] = useState(false);
+  const [resultLimit, setResultLimit] = useState(SEARCH_PAGE);
   const [speed, setAppSpeed] = useState(1);
   const [paused, setAppPaused] = useState(false);
   const [showModeHint, setShowModeHint] = useState(false);
+  const [groundTrack, setGroundTrack] = useState(DEFAULT_GROUND_TRACK);
+  const [staleFilter, setStaleFilter] = useState(DEFAULT_STALE_FILTER);
+  const [dimShadow, setDimShadow] = useState(false);
+  const [reentryDays, setReentryDays] = useState(DEFAULT_REENTRY_WINDOW);
+  const [elementHistory, setElementHistory] = useState(null); // { satId, sets }
+  const [dispersal, setDispersal] = useState(null); // { eventKey, startedAt, endTime }
+  const [brushIds, setBrushIds] = useState(null); // Set of ids brushed in the population plots
+
+  // While historical sets are loaded, the selected satellite propagates from the one closest to sim time
+  const replaySets = elementHistory && elementHistory.satId === selectedSatId ? elementHistory.sets : null;
+  const replayIndex = useElementReplay(replaySets);
+  const currentSat = useMemo(() => satellites.find(s => s.id === selectedSatId), [satellites, selectedSatId]);
+  const watchlist = useWatchlist();
+  const pinnedSats = useMemo(() => {
+    const byId = new Map(satellites.map(s => [s.id, s]));
+    return watchlist.ids.map(id => byId.get(id)).filter(Boolean);
+  }, [satellites, watchlist.ids]);
+  const selectedSat = useMemo(
+    () => (replaySets && replayIndex >= 0 ? withElementSet(currentSat, replaySets[replayIndex]) : currentSat),
+    [currentSat, replaySets, replayIndex]
+  );
   const [modeHintExiting, setModeHintExiting] = useState(false);
 
   // Loading Screen State Management
@@ -375,17 +463,22 @@ function App() {
     }
   }, [loading, animationComplete, loadStartTime]);
 
-  const [categoryFilters, setCategoryFilters] = useState({
-    STATION: true,
-    PAYLOAD: true,
-    DEBRIS: true,
-    ONLY_SELECTED: false
-  });
+  const [categoryFilters, setCategoryFilters] = useState(DEFAULT_CATEGORY_FILTERS);
 
   const toggleFilter = (cat) => {
     setCategoryFilters(prev => ({ ...prev, [cat]: !prev[cat] }));
   };
 
+  const [regimeFilters, setRegimeFilters] = useState(DEFAULT_REGIME_FILTERS);
+  const [groupFilter, setGroupFilter] = useState([]);
+  const [colorMode, setColorMode] = useState('CATEGORY');
+  const colorScale = useMemo(() => buildColorScale(colorMode, satellites), [colorMode, satellites]);
+  const regimeCounts = useMemo(() => {
+    const counts = {};
+    satellites.forEach(s => { if (s.regime) counts[s.regime] = (counts[s.regime] || 0) + 1; });
+    return counts;
+  }, [satellites]);
+
   const setSpeed = (s) => {
     SIM_STATE.speed = s;
     setAppSpeed(s);
@@ -406,6 +499,26 @@ function App() {
     prevSelectedSatId.current = selectedSatId;
   }, [selectedSatId, navMode]);
 
+  // Shareable links: restore the encoded view once the catalog is in, then mirror changes into the URL
+  useViewStateUrl({
+    ready: !loading && satellites.length > 0,
+    state: { selectedSatId, speed, paused, categoryFilters, regimeFilters, groupFilter, search },
+    apply: (view) => {
+      const id = view.selectedSatId && (decodeCatalogNumber(view.selectedSatId) || view.selectedSatId);
+      const exists = !!id && satellites.some(s => s.id === id);
+      setSelectedSatId(exists ? id : null);
+      if (!exists) setSelectedSatPos(null);
+      setSpeed(view.speed);
+      setPaused(view.paused);
+      setCategoryFilters(view.categoryFilters);
+      setRegimeFilters(view.regimeFilters);
+      setGroupFilter(view.groupFilter);
+      setSearch(view.search);
+      if (view.simTime !== undefined) setSimTime(view.simTime);
+      if (view.camera) CAMERA_STATE.pending = { ...view.camera, selected: exists };
+    }
+  });
+
   const resetToRealTime = () => {
     SIM_STATE.simTime = Date.now();
     setSpeed(1);
@@ -416,53 +529,29 @@ function App() {
     window.dispatchEvent(new CustomEvent('nav-zoom', { detail: { factor, reset } }));
   };
 
-  // ONLY filter by search for the rendering list
-  // The category filtering is now handled visually via opacity
-  const filteredSats = satellites.filter(s => {
-    if (search.trim()) {
-      const query = search.toLowerCase();
-
-      // Basic checks
-      const nameMatch = s.name.toLowerCase().includes(query);
-      const idMatch = s.id.toLowerCase().includes(query);
-
-      // Advanced TLE checks (on-the-fly extract)
-      let noradMatch = false;
-      let intlMatch = false;
-      const cleanQuery = query.replace(/[-\s]/g, '');
-
-      if (s.tle2 && s.tle2.length > 7) {
-        // Standard TLE Line 2 NORAD ID is cols 2-7
-        const noradId = s.tle2.substring(2, 7).trim();
-        if (noradId.includes(query)) noradMatch = true;
-        if (noradId.includes(cleanQuery)) noradMatch = true;
-      }
-
-      if (s.tle1 && s.tle1.length > 17) {
-        // Standard TLE Line 1 Intl Designator is cols 9-17 (YYNNNPPP)
-        const intlId = s.tle1.substring(9, 17).trim().toLowerCase();
-
-        // 1. Direct match (e.g. searching "98067")
-        if (intlId.includes(cleanQuery)) intlMatch = true;
-
-        // 2. Year expansion (e.g. searching "1998-067")
-        const yy = parseInt(intlId.substring(0, 2), 10);
-        if (!isNaN(yy)) {
-          // Standard TLE pivot: 57-99 = 19xx, 00-56 = 20xx
-          const fullYear = yy >= 57 ? 1900 + yy : 2000 + yy;
-          const rest = intlId.substring(2);
-          const expandedId = `${fullYear}-${rest}`; // "1998-067a"
-
-          if (expandedId.includes(query)) intlMatch = true;
-        }
-      }
-
-      return nameMatch || idMatch || noradMatch || intlMatch;
-    }
-    return true;
-  });
-
-  const searchResults = search.trim() ? filteredSats.slice(0, 15) : [];
+  // Category filtering is handled visually via opacity; the search only drives the result list and highlight
+  const searchResults = useMemo(
+    () => searchSatellites(satellites, search, decayEstimates.decays),
+    [satellites, search, decayEstimates.decays]
+  );
+  // A population brush takes over the highlight until it is cleared
+  const highlightIds = useMemo(
+    () => brushIds || (highlightMatches && search.trim() ? new Set(searchResults.matches.map(s => s.id)) : null),
+    [brushIds, highlightMatches, search, searchResults]
+  );
+  const populationFilters = useMemo(
+    () => ({ categoryFilters, staleFilter, regimeFilters, groupFilter }),
+    [categoryFilters, staleFilter, regimeFilters, groupFilter]
+  );
+  const reentryCount = useMemo(
+    () => (decayEstimates.decays ? reentryWatchList(satellites, decayEstimates.decays, reentryDays).length : null),
+    [satellites, decayEstimates.decays, reentryDays]
+  );
+  const dispersalEvent = dispersal ? FRAGMENTATION_EVENTS.find(e => e.key === dispersal.eventKey) : null;
+  const dispersalCloud = useMemo(
+    () => (dispersalEvent ? dispersalModel(fragmentsOf(satellites, dispersalEvent), dispersalEvent) : null),
+    [satellites, dispersalEvent]
+  );
 
   return (
     <div className={`app-container ${!showLoadingScreen ? 'app-ready' : ''}`} style={{ width: '100%', height: '100vw', minHeight: '100vh', background: '#111', color: '#fff' }}>
@@ -493,9 +582,9 @@ function App() {
               <Search size={14} style={{ position: 'absolute', left: '12px', top: '10px', color: '#666', zIndex: 2 }} />
               <input
                 type="text"
-                placeholder="FIND SATELLITE..."
+                placeholder="FIND SATELLITE OR QUERY (inc>97 alt:400..600)"
                 value={search}
-                onChange={(e) => setSearch(e.target.value)}
+                onChange={(e) => { setSearch(e.target.value); setResultLimit(SEARCH_PAGE); }}
                 style={{
                   boxSizing: 'border-box',
                   width: '100%',
@@ -530,30 +619,60 @@ function App() {
               zIndex: 100,
               boxShadow: '0 4px 20px rgba(0,0,0,0.8)' // Stronger shadow for visibility
             }}>
-              {searchResults.length > 0 ? (
-                searchResults.map(sat => (
-                  <div
-                    key={sat.id}
-                    className={`sat-item ${selectedSatId === sat.id ? 'selected' : ''}`}
-                    onClick={() => {
-                      setSelectedSatId(sat.id);
-                      setSearch('');
-                      setNavMode('PAN');
-                    }}
-                    style={{
-                      borderBottom: '1px solid #333',
-                      padding: '8px 12px',
-                      display: 'flex',
-                      flexDirection: 'column',
-                      cursor: 'pointer'
-                    }}
-                  >
-                    <span style={{ fontWeight: 700, fontSize: '11px' }}>{sat.name}</span>
-                    <span style={{ fontSize: '9px', color: '#888' }}>
-                      NORAD: {sat.tle2 ? sat.tle2.substring(2, 7).trim() : 'N/A'}
-                    </span>
-                  </div>
-                ))
+              <div style={{ display: 'flex', alignItems: 'center', gap: '6px', padding: '6px 12px', borderBottom: '1px solid #333', fontSize: '9px', color: '#888' }}>
+                <span style={{ flex: 1 }}>
+                  {searchResults.matches.length} {searchResults.structured ? 'QUERY MATCHES' : 'MATCHES'}
+                </span>
+                <button
+                  className={`btn ${highlightMatches ? 'active' : ''} btn-interactive`}
+                  onClick={() => {
+                    setHighlightMatches(!highlightMatches);
+                    setBrushIds(null);
+                  }}
+                  style={{ padding: '2px 6px', fontSize: '8px', borderRadius: '2px' }}
+                >
+                  HIGHLIGHT 3D
+                </button>
+              </div>
+              {searchResults.errors.map(message => (
+                <div key={message} style={{ padding: '4px 12px', color: '#ED1C2E', fontSize: '9px' }}>{message}</div>
+              ))}
+              {searchResults.matches.length > 0 ? (
+                <>
+                  {searchResults.matches.slice(0, resultLimit).map(sat => (
+                    <div
+                      key={sat.id}
+                      className={`sat-item ${selectedSatId === sat.id ? 'selected' : ''}`}
+                      onClick={() => {
+                        setSelectedSatId(sat.id);
+                        // Keep a highlighted query around so its other matches can be visited
+                        if (!highlightMatches) setSearch('');
+                        setNavMode('PAN');
+                      }}
+                      style={{
+                        borderBottom: '1px solid #333',
+                        padding: '8px 12px',
+                        display: 'flex',
+                        flexDirection: 'column',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      <span style={{ fontWeight: 700, fontSize: '11px' }}>{sat.name}</span>
+                      <span style={{ fontSize: '9px', color: '#888' }}>
+                        NORAD: {catalogNumber(sat) || 'N/A'}
+                      </span>
+                    </div>
+                  ))}
+                  {searchResults.matches.length > resultLimit && (
+                    <div
+                      className="sat-item"
+                      onClick={() => setResultLimit(resultLimit + SEARCH_PAGE)}
+                      style={{ padding: '8px 12px', fontSize: '9px', color: '#888', textAlign: 'center', cursor: 'pointer' }}
+                    >
+                      SHOW MORE ({searchResults.matches.length - resultLimit} REMAINING)
+                    </div>
+                  )}
+                </>
               ) : (
                 <div style={{ padding: '8px', color: '#666', fontSize: '10px', textAlign: 'center', fontStyle: 'italic' }}>
                   No valid matches
@@ -627,6 +746,29 @@ function App() {
             </tbody>
           </table>
 
+          <RegimeFilterControls
+            filters={regimeFilters}
+            counts={regimeCounts}
+            onToggle={(regime) => setRegimeFilters(prev => ({ ...prev, [regime]: !prev[regime] }))}
+          />
+
+          <ConstellationFilterControls satellites={satellites} selected={groupFilter} onChange={setGroupFilter} />
+
+          <ColorModeControls mode={colorMode} legend={colorScale.legend} onChange={setColorMode} />
+
+          <StaleFilterControls settings={staleFilter} onChange={setStaleFilter} />
+
+          <div style={{ marginTop: '6px', display: 'flex', alignItems: 'center', gap: '6px', fontSize: '9px' }}>
+            <span style={{ color: '#666', whiteSpace: 'nowrap' }}>EARTH SHADOW</span>
+            <button
+              className={`btn ${dimShadow ? 'active' : ''} btn-interactive`}
+              onClick={() => setDimShadow(!dimShadow)}
+              style={{ flex: 1, padding: '3px', fontSize: '8px', borderRadius: '2px' }}
+            >
+              {dimShadow ? 'DIMMED' : 'DIM IN SHADOW'}
+            </button>
+          </div>
+
           <div style={{
             marginTop: '10px',
             borderTop: '1px solid #222',
@@ -662,15 +804,8 @@ function App() {
             </div>
 
             <div className="reveal-mask">
-              <div className="reveal-item stagger-7" style={{ display: 'flex', gap: '4px' }}>
-                <button className={`btn ${paused ? 'active' : ''} btn-interactive`} onClick={() => setPaused(!paused)} style={{ flex: 1, padding: '4px', borderRadius: '2px' }}>
-                  {paused ? <Play size={12} fill="#fff" /> : <Pause size={12} fill="#fff" />}
-                </button>
-                {[1, 10, 100].map(s => (
-                  <button key={s} className={`btn ${speed === s ? 'active' : ''} btn-interactive`} onClick={() => { setSpeed(s); setPaused(false); }} style={{ flex: 1, padding: '4px', fontSize: '10px', borderRadius: '2px' }}>
-                    {s}X
-                  </button>
-                ))}
+              <div className="reveal-item stagger-7">
+                <ClockControls speed={speed} paused={paused} onSpeedChange={setSpeed} onPausedChange={setPaused} />
               </div>
             </div>
 
@@ -684,26 +819,147 @@ function App() {
           </div>
         </div>
 
-        <TelemetryPanel key={selectedSatId} selectedSatId={selectedSatId} satellites={satellites} />
+        <TelemetryPanel key={selectedSatId} selectedSat={selectedSat} maxAgeDays={staleFilter.maxAgeDays} reentryDays={reentryDays} />
 
         {selectedSatId && (
           <>
             <div className="reveal-mask" key={`${selectedSatId}-unfocus`}>
               <div className="reveal-item stagger-9">
-                <button
-                  className="btn-interactive"
-                  onClick={() => { setSelectedSatId(null); setSelectedSatPos(null); }}
-                  style={{ background: 'none', border: '1px solid #333', color: '#fff', fontSize: '10px', fontFamily: 'Unbounded', padding: '6px', width: '100%', borderRadius: '4px', marginTop: '10px', cursor: 'pointer' }}
-                >
-                  UNFOCUS
-                </button>
+                <div style={{ display: 'flex', gap: '6px', marginTop: '10px' }}>
+                  <button
+                    className="btn-interactive"
+                    onClick={() => { setSelectedSatId(null); setSelectedSatPos(null); }}
+                    style={{ background: 'none', border: '1px solid #333', color: '#fff', fontSize: '10px', fontFamily: 'Unbounded', padding: '6px', flex: 1, borderRadius: '4px', cursor: 'pointer' }}
+                  >
+                    UNFOCUS
+                  </button>
+                  <button
+                    className="btn-interactive"
+                    onClick={() => watchlist.toggle(selectedSatId)}
+                    style={{ background: 'none', border: `1px solid ${watchlist.isPinned(selectedSatId) ? '#FFD700' : '#333'}`, color: watchlist.isPinned(selectedSatId) ? '#FFD700' : '#fff', fontSize: '10px', fontFamily: 'Unbounded', padding: '6px', flex: 1, borderRadius: '4px', cursor: 'pointer' }}
+                  >
+                    {watchlist.isPinned(selectedSatId) ? 'UNPIN' : 'PIN'}
+                  </button>
+                </div>
               </div>
             </div>
-            <HistoricalPanel key={`${selectedSatId}-history`} selectedSat={satellites.find(s => s.id === selectedSatId)} />
+            <GroundTrackControls settings={groundTrack} onChange={setGroundTrack} />
+            <GroundStationPanel
+              key={`${selectedSatId}-stations`}
+              selectedSat={selectedSat}
+              onSelectPass={(pass) => setSimTime(pass.aos)}
+            />
+            <HistoricalPanel
+              key={`${selectedSatId}-history`}
+              selectedSat={currentSat}
+              replaySets={replaySets}
+              activeIndex={replayIndex}
+              onReplay={(sets) => setElementHistory(sets ? { satId: selectedSatId, sets } : null)}
+            />
+            <EphemerisExportPanel key={`${selectedSatId}-export`} selectedSat={selectedSat} />
           </>
         )}
       </div>
 
+      <AnalysisDock
+        tabs={[
+          {
+            id: 'conjunctions',
+            label: 'CONJUNCTIONS',
+            content: (
+              <ConjunctionPanel
+                satellites={satellites}
+                selectedSatId={selectedSatId}
+                onSelectEvent={(event) => {
+                  setSelectedSatId(event.primaryId);
+                  setSimTime(event.tca);
+                  setNavMode('PAN');
+                }}
+              />
+            )
+          },
+          {
+            id: 'watchlist',
+            label: `WATCHLIST (${watchlist.ids.length})`,
+            content: (
+              <WatchlistPanel
+                satellites={satellites}
+                ids={watchlist.ids}
+                selectedSatId={selectedSatId}
+                onSelect={setSelectedSatId}
+                onTogglePin={watchlist.toggle}
+                onRemove={watchlist.remove}
+                onClear={watchlist.clear}
+              />
+            )
+          },
+          {
+            id: 'reentry',
+            label: `REENTRY (${reentryCount ?? '…'})`,
+            content: (
+              <ReentryWatchPanel
+                satellites={satellites}
+                estimates={decayEstimates}
+                withinDays={reentryDays}
+                onChangeWithinDays={setReentryDays}
+                selectedSatId={selectedSatId}
+                onSelect={setSelectedSatId}
+                onHighlight={(query) => {
+                  setSearch(query);
+                  setHighlightMatches(true);
+                  setBrushIds(null);
+                }}
+              />
+            )
+          },
+          {
+            id: 'fragmentation',
+            label: 'FRAGMENTATION',
+            content: (
+              <FragmentationPanel
+                satellites={satellites}
+                decays={decayEstimates.decays}
+                groupFilter={groupFilter}
+                onChangeGroupFilter={setGroupFilter}
+                dispersal={dispersal}
+                onReplay={setDispersal}
+                onSelectTime={setSimTime}
+              />
+            )
+          },
+          {
+            id: 'population',
+            label: 'POPULATION',
+            content: (
+              <PopulationPanel
+                satellites={satellites}
+                filters={populationFilters}
+                highlightIds={highlightIds}
+                brushed={brushIds}
+                selectedSatId={selectedSatId}
+                onBrush={(ids) => {
+                  setBrushIds(ids && ids.length > 0 ? new Set(ids) : null);
+                  // A brush around a single object selects it
+                  if (ids && ids.length === 1) setSelectedSatId(ids[0]);
+                }}
+                onSelect={setSelectedSatId}
+              />
+            )
+          },
+          {
+            id: 'elements',
+            label: 'ELEMENTS',
+            content: (
+              <ElementChartsPanel
+                selectedSat={selectedSat}
+                sets={replaySets}
+                onSelectTime={setSimTime}
+              />
+            )
+          }
+        ]}
+      />
+
       <div style={{ position: 'absolute', top: 0, left: 0, width: '100%', height: '100%', zIndex: 1 }}>
         <Canvas camera={{ position: [0, 0, 3], fov: 45 }} raycaster={{ params: { Points: { threshold: 0.1 } } }}>
           <color attach="background" args={['#111']} />
@@ -716,6 +972,12 @@ function App() {
             selectedSatId={selectedSatId}
             hoveredSatId={hoveredSatId}
             categoryFilters={categoryFilters}
+            staleFilter={staleFilter}
+            regimeFilters={regimeFilters}
+            groupFilter={groupFilter}
+            colorScale={colorScale}
+            highlightIds={highlightIds}
+            dimShadow={dimShadow}
             onClick={(id) => {
               console.log('[CLICK] Satellite clicked, navMode:', navMode);
               if (navMode === 'SELECT') {
@@ -736,21 +998,52 @@ function App() {
           />
 
           {/* Selected Satellite Rendering */}
-          {selectedSatId && satellites.find(s => s.id === selectedSatId) && (
+          {selectedSat && (
             <Satellite
               key={`selected-${selectedSatId}`}
-              {...satellites.find(s => s.id === selectedSatId)}
+              {...selectedSat}
               isSelected={true}
               isVisible={true} // Selected satellite always visible
               onClick={() => { }}
-              orbitalPeriod={getOrbitalPeriod(satellites.find(s => s.id === selectedSatId).tle2)}
+              orbitalPeriod={getOrbitalPeriod(selectedSat.satrec)}
               onUpdatePosition={setSelectedSatPos}
               navMode={navMode}
             />
           )}
 
-          {/* Hovered Satellite Rendering (only if not selected) */}
-          {deferredHoverId && deferredHoverId !== selectedSatId && satellites.find(s => s.id === deferredHoverId) && (
+          {selectedSat && (
+            <GroundTrack satrec={selectedSat.satrec} {...groundTrack} />
+          )}
+
+          {/* Reconstructed debris cloud while a fragmentation replay runs */}
+          {dispersalCloud && (
+            <DebrisDispersal
+              key={dispersal.startedAt}
+              model={dispersalCloud}
+              event={dispersalEvent}
+              startedAt={dispersal.startedAt}
+              endTime={dispersal.endTime}
+            />
+          )}
+
+          {/* Pinned satellites, highlighted with their own orbit lines */}
+          {pinnedSats.filter(sat => sat.id !== selectedSatId).map(sat => (
+            <Satellite
+              key={`pinned-${sat.id}`}
+              {...sat}
+              isSelected={false}
+              isPinned={true}
+              isHovered={sat.id === hoveredSatId}
+              isVisible={!categoryFilters.ONLY_SELECTED}
+              onClick={() => { if (navMode === 'SELECT') setSelectedSatId(sat.id); }}
+              orbitalPeriod={getOrbitalPeriod(sat.satrec)}
+              onUpdatePosition={null}
+              navMode={navMode}
+            />
+          ))}
+
+          {/* Hovered Satellite Rendering (only if not selected or pinned) */}
+          {deferredHoverId && deferredHoverId !== selectedSatId && !watchlist.isPinned(deferredHoverId) && satellites.find(s => s.id === deferredHoverId) && (
             <Satellite
               key={`hover-${deferredHoverId}`}
               {...satellites.find(s => s.id === deferredHoverId)}
@@ -770,7 +1063,7 @@ function App() {
                   }, 5000);
                 }
               }}
-              orbitalPeriod={getOrbitalPeriod(satellites.find(s => s.id === deferredHoverId).tle2)}
+              orbitalPeriod={getOrbitalPeriod(satellites.find(s => s.id === deferredHoverId).satrec)}
               onUpdatePosition={null}
               navMode={navMode}
             />
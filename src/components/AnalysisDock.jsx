@@ -0,0 +1,35 @@
+import React, { useState } from 'react';
+
+/**
+ * Right-hand container for the analysis tools. Each tab is { id, label, content };
+ * clicking the active tab collapses the dock back to its tab strip.
+ */
+const AnalysisDock = ({ tabs }) => {
+    const [activeTab, setActiveTab] = useState(null);
+    const active = tabs.find(t => t.id === activeTab);
+
+    return (
+        <div className="analysis-dock">
+            <div className="analysis-dock-tabs">
+                {tabs.map(tab => (
+                    <button
+                        key={tab.id}
+                        className={`btn ${activeTab === tab.id ? 'active' : ''} btn-interactive`}
+                        onClick={() => setActiveTab(activeTab === tab.id ? null : tab.id)}
+                        style={{ padding: '4px 8px', fontSize: '9px', borderRadius: '2px' }}
+                    >
+                        {tab.label}
+                    </button>
+                ))}
+            </div>
+
+            {active && (
+                <div className="analysis-dock-body fade-in">
+                    {active.content}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AnalysisDock;
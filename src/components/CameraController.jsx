@@ -2,6 +2,7 @@ import { useFrame, useThree } from '@react-three/fiber';
 import * as THREE from 'three';
 import { useRef, useEffect, useState } from 'react';
 import { easing } from 'maath';
+import { CAMERA_STATE } from '../services/viewState';
 
 const CameraController = ({ targetPosition, isSelected }) => {
     const { camera, controls } = useThree();
@@ -9,7 +10,10 @@ const CameraController = ({ targetPosition, isSelected }) => {
 
     // Zoom state
     const targetDistance = useRef(camera.position.length());
+    // Selection state the zoom reset below has already handled; pending poses wait for it
+    const settled = useRef({ isSelected: false, hasTarget: false });
 
+    const hasTarget = !!targetPosition;
     useEffect(() => {
         if (isSelected) {
             setAutoZoomActive(true);
@@ -17,7 +21,8 @@ const CameraController = ({ targetPosition, isSelected }) => {
         } else {
             setAutoZoomActive(false);
         }
-    }, [isSelected, !!targetPosition]);
+        settled.current = { isSelected, hasTarget };
+    }, [isSelected, hasTarget]);
 
     // Handle smooth scroll wheel zoom AND custom events
     useEffect(() => {
@@ -45,6 +50,17 @@ const CameraController = ({ targetPosition, isSelected }) => {
     }, []);
 
     useFrame((state, delta) => {
+        // Restore a pose from a deep link or history entry once the selection has settled,
+        // so the selection zoom reset doesn't override it
+        const pending = CAMERA_STATE.pending;
+        if (pending && controls && pending.selected === isSelected && settled.current.isSelected === isSelected
+            && (!isSelected || settled.current.hasTarget)) {
+            camera.position.set(...pending.position);
+            controls.target.set(...pending.target);
+            targetDistance.current = camera.position.distanceTo(controls.target);
+            CAMERA_STATE.pending = null;
+        }
+
         // Handle Target Easing (Always active when selected)
         if (isSelected && targetPosition && controls) {
             easing.damp3(controls.target, targetPosition, 0.15, delta);
@@ -58,6 +74,9 @@ const CameraController = ({ targetPosition, isSelected }) => {
         const idealPos = center.clone().add(direction.multiplyScalar(targetDistance.current));
 
         easing.damp3(camera.position, idealPos, 0.25, delta);
+
+        CAMERA_STATE.position = camera.position.toArray();
+        CAMERA_STATE.target = center.toArray();
     });
 
     return null;
@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react';
+import { Play, Pause, Rewind } from 'lucide-react';
+import { SIM_STATE, setSimTime } from '../services/simulationState';
+import { formatUtc, toUtcPickerValue, fromUtcPickerValue } from '../services/format';
+
+const RATE_PRESETS = [1, 10, 100, 1000, 3600];
+const TIMELINE_SPANS = [
+    { label: '±1D', days: 1 },
+    { label: '±7D', days: 7 },
+    { label: '±30D', days: 30 }
+];
+const DAY_MS = 86400000;
+const TIMELINE_STEP = 60000; // slider resolution (ms)
+
+/**
+ * Rate, direction, jump-to-date and timeline scrubbing for the simulation clock.
+ * Rates are signed: negative values play the clock backwards.
+ */
+const ClockControls = ({ speed, paused, onSpeedChange, onPausedChange }) => {
+    const [jumpValue, setJumpValue] = useState(() => toUtcPickerValue(SIM_STATE.simTime));
+    const [customRate, setCustomRate] = useState('');
+    const [spanDays, setSpanDays] = useState(TIMELINE_SPANS[1].days);
+    const [anchor, setAnchor] = useState(() => SIM_STATE.simTime);
+    const [simTime, setSimTimeView] = useState(() => SIM_STATE.simTime);
+
+    const span = spanDays * DAY_MS;
+
+    // Follow the clock; re-centre the timeline once playback runs off either end
+    useEffect(() => {
+        const interval = setInterval(() => {
+            const time = SIM_STATE.simTime;
+            setSimTimeView(time);
+            if (time < anchor - span || time > anchor + span) setAnchor(time);
+        }, 250);
+        return () => clearInterval(interval);
+    }, [anchor, span]);
+
+    const direction = speed < 0 ? -1 : 1;
+    const magnitude = Math.abs(speed);
+
+    const jump = () => {
+        const time = fromUtcPickerValue(jumpValue);
+        if (isNaN(time)) return;
+        setSimTime(time);
+        setAnchor(time);
+        setSimTimeView(time);
+    };
+
+    const applyCustomRate = () => {
+        const rate = parseFloat(customRate);
+        if (isNaN(rate) || rate === 0) return;
+        onSpeedChange(rate);
+        onPausedChange(false);
+        setCustomRate('');
+    };
+
+    const scrub = (value) => {
+        const time = Number(value);
+        setSimTime(time);
+        setSimTimeView(time);
+    };
+
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+            <div style={{ display: 'flex', gap: '4px' }}>
+                <button className={`btn ${paused ? 'active' : ''} btn-interactive`} onClick={() => onPausedChange(!paused)} style={{ flex: 1, padding: '4px', borderRadius: '2px' }}>
+                    {paused ? <Play size={12} fill="#fff" /> : <Pause size={12} fill="#fff" />}
+                </button>
+                <button
+                    className={`btn ${direction < 0 ? 'active' : ''} btn-interactive`}
+                    onClick={() => onSpeedChange(-speed)}
+                    title="REVERSE"
+                    style={{ flex: 1, padding: '4px', borderRadius: '2px' }}
+                >
+                    <Rewind size={12} />
+                </button>
+                {RATE_PRESETS.map(rate => (
+                    <button
+                        key={rate}
+                        className={`btn ${magnitude === rate ? 'active' : ''} btn-interactive`}
+                        onClick={() => { onSpeedChange(direction * rate); onPausedChange(false); }}
+                        style={{ flex: 1, padding: '4px 2px', fontSize: '8px', borderRadius: '2px' }}
+                    >
+                        {rate}X
+                    </button>
+                ))}
+            </div>
+
+            <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                <span style={{ color: '#666', fontSize: '9px', whiteSpace: 'nowrap' }}>RATE {speed}X</span>
+                <input
+                    className="field-input"
+                    type="number"
+                    placeholder="CUSTOM"
+                    value={customRate}
+                    onChange={(e) => setCustomRate(e.target.value)}
+                    onKeyDown={(e) => { if (e.key === 'Enter') applyCustomRate(); }}
+                    style={{ flex: 1 }}
+                />
+                <button className="btn btn-interactive" onClick={applyCustomRate} style={{ padding: '4px 8px', fontSize: '9px', borderRadius: '2px' }}>SET</button>
+            </div>
+
+            <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                <input
+                    className="field-input"
+                    type="datetime-local"
+                    step="1"
+                    value={jumpValue}
+                    onChange={(e) => setJumpValue(e.target.value)}
+                    style={{ flex: 1, colorScheme: 'dark' }}
+                />
+                <span style={{ color: '#666', fontSize: '9px' }}>UTC</span>
+                <button className="btn btn-interactive" onClick={jump} style={{ padding: '4px 8px', fontSize: '9px', borderRadius: '2px' }}>JUMP</button>
+            </div>
+
+            <div>
+                <input
+                    className="timeline-slider"
+                    type="range"
+                    min={anchor - span}
+                    max={anchor + span}
+                    step={TIMELINE_STEP}
+                    value={Math.min(Math.max(simTime, anchor - span), anchor + span)}
+                    onChange={(e) => scrub(e.target.value)}
+                />
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '8px', color: '#666' }}>
+                    <span>{formatUtc(anchor - span).substring(0, 10)}</span>
+                    <div style={{ display: 'flex', gap: '2px' }}>
+                        {TIMELINE_SPANS.map(option => (
+                            <button
+                                key={option.days}
+                                className={`btn ${spanDays === option.days ? 'active' : ''} btn-interactive`}
+                                onClick={() => setSpanDays(option.days)}
+                                style={{ padding: '2px 4px', fontSize: '7px', borderRadius: '2px' }}
+                            >
+                                {option.label}
+                            </button>
+                        ))}
+                    </div>
+                    <span>{formatUtc(anchor + span).substring(0, 10)}</span>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ClockControls;
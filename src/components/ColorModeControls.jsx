@@ -0,0 +1,44 @@
+import React from 'react';
+import { COLOR_MODES } from '../services/colorModes';
+
+/**
+ * Attribute picker for the satellite colors, with the legend of the active mode.
+ */
+const ColorModeControls = ({ mode, legend, onChange }) => (
+    <div style={{ marginTop: '8px', borderTop: '1px solid #222', paddingTop: '6px', fontSize: '9px' }}>
+        <div style={{ color: '#666', marginBottom: '4px' }}>COLOR BY</div>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '2px' }}>
+            {Object.entries(COLOR_MODES).map(([key, option]) => (
+                <button
+                    key={key}
+                    className={`btn ${mode === key ? 'active' : ''} btn-interactive`}
+                    onClick={() => onChange(key)}
+                    style={{ padding: '3px 2px', fontSize: '7px', borderRadius: '2px' }}
+                >
+                    {option.label}
+                </button>
+            ))}
+        </div>
+
+        {legend.type === 'continuous' ? (
+            <div style={{ marginTop: '6px' }}>
+                <div style={{ height: '6px', borderRadius: '2px', background: legend.gradient }} />
+                <div style={{ display: 'flex', justifyContent: 'space-between', color: '#888', fontSize: '8px', marginTop: '2px' }}>
+                    {legend.labels.map((label, i) => <span key={i}>{label}</span>)}
+                </div>
+            </div>
+        ) : (
+            <div style={{ marginTop: '6px', display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '3px 8px', maxHeight: '120px', overflowY: 'auto' }}>
+                {legend.items.map(item => (
+                    <div key={item.label} style={{ display: 'flex', alignItems: 'center', gap: '5px', minWidth: 0 }}>
+                        <div style={{ width: '8px', height: '8px', flexShrink: 0, background: item.color, border: '1px solid #333' }} />
+                        <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{item.label}</span>
+                        <span style={{ color: '#666' }}>{item.count}</span>
+                    </div>
+                ))}
+            </div>
+        )}
+    </div>
+);
+
+export default ColorModeControls;
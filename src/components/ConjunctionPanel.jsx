@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { useConjunctionScreening } from '../hooks/useConjunctionScreening';
+import { DEFAULT_SCREENING } from '../services/conjunction';
+import { formatUtc } from '../services/format';
+import { SIM_STATE } from '../services/simulationState';
+import SortableTable from './SortableTable';
+
+const COLUMNS = [
+    { key: 'primaryName', label: 'PRIMARY' },
+    { key: 'secondaryName', label: 'SECONDARY' },
+    { key: 'tca', label: 'TCA (UTC)', render: e => formatUtc(e.tca) },
+    { key: 'missDistance', label: 'MISS KM', render: e => e.missDistance.toFixed(3) },
+    { key: 'relVelocity', label: 'VREL KM/S', render: e => e.relVelocity.toFixed(2) }
+];
+
+const PARAM_FIELDS = [['windowHours', 'WINDOW (H)'], ['stepSeconds', 'STEP (S)'], ['thresholdKm', 'MISS < KM']];
+
+const parsePositive = (text) => {
+    const num = parseFloat(text);
+    return isFinite(num) && num > 0 ? num : NaN;
+};
+
+const ConjunctionPanel = ({ satellites, selectedSatId, onSelectEvent }) => {
+    const { events, progress, running, error, run, cancel } = useConjunctionScreening();
+    const [mode, setMode] = useState('PRIMARY'); // PRIMARY | CATALOG
+    // Kept as typed; a field that is not a positive number blocks the run
+    const [params, setParams] = useState(() => Object.fromEntries(PARAM_FIELDS.map(([key]) => [key, String(DEFAULT_SCREENING[key])])));
+
+    const parsed = Object.fromEntries(PARAM_FIELDS.map(([key]) => [key, parsePositive(params[key])]));
+    const invalid = PARAM_FIELDS.filter(([key]) => isNaN(parsed[key])).map(([, label]) => label);
+    const selectedSat = satellites.find(s => s.id === selectedSatId);
+    const canRun = satellites.length > 0 && (mode === 'CATALOG' || !!selectedSat) && invalid.length === 0;
+
+    const updateParam = (key, value) => setParams(prev => ({ ...prev, [key]: value }));
+
+    const startScreening = () => {
+        run(satellites, {
+            ...parsed,
+            startTime: SIM_STATE.simTime,
+            primaryId: mode === 'PRIMARY' ? selectedSatId : null
+        });
+    };
+
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', fontSize: '10px' }}>
+            <div style={{ display: 'flex', gap: '4px' }}>
+                {[['PRIMARY', 'SELECTED VS ALL'], ['CATALOG', 'FULL CATALOG']].map(([id, label]) => (
+                    <button
+                        key={id}
+                        className={`btn ${mode === id ? 'active' : ''} btn-interactive`}
+                        onClick={() => setMode(id)}
+                        style={{ flex: 1, padding: '4px', fontSize: '9px', borderRadius: '2px' }}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+
+            {mode === 'PRIMARY' && (
+                <div style={{ color: selectedSat ? '#fff' : '#666', fontSize: '9px' }}>
+                    PRIMARY: {selectedSat ? selectedSat.name : 'SELECT A SATELLITE'}
+                </div>
+            )}
+
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '6px' }}>
+                {PARAM_FIELDS.map(([key, label]) => (
+                    <div key={key}>
+                        <div className="field-label">{label}</div>
+                        <input
+                            className="field-input"
+                            type="number"
+                            min="0"
+                            value={params[key]}
+                            onChange={(e) => updateParam(key, e.target.value)}
+                            style={isNaN(parsed[key]) ? { borderColor: '#ED1C2E' } : undefined}
+                        />
+                    </div>
+                ))}
+            </div>
+
+            {invalid.length > 0 && (
+                <div style={{ color: '#ED1C2E', fontSize: '9px' }}>{invalid.join(', ')} MUST BE POSITIVE</div>
+            )}
+
+            <button
+                className="btn-interactive"
+                disabled={!canRun && !running}
+                onClick={running ? cancel : startScreening}
+                style={{ background: '#222', border: '1px solid #333', color: canRun || running ? '#fff' : '#666', padding: '6px', fontSize: '10px', fontFamily: 'Unbounded', borderRadius: '2px', width: '100%' }}
+            >
+                {running ? `CANCEL (${Math.round(progress * 100)}%)` : 'RUN SCREENING'}
+            </button>
+
+            {running && (
+                <div className="progress-track">
+                    <div className="progress-fill" style={{ width: `${progress * 100}%` }} />
+                </div>
+            )}
+
+            {error && <div style={{ color: '#ED1C2E', fontSize: '9px' }}>{error}</div>}
+
+            {!running && (
+                <>
+                    <div className="field-label">{events.length} CLOSE APPROACHES</div>
+                    <div style={{ maxHeight: '50vh', overflow: 'auto' }}>
+                        <SortableTable
+                            columns={COLUMNS}
+                            rows={events}
+                            rowKey={e => `${e.primaryId}-${e.secondaryId}-${e.tca}`}
+                            defaultSort={{ key: 'missDistance', dir: 1 }}
+                            isSelected={e => e.primaryId === selectedSatId}
+                            onRowClick={onSelectEvent}
+                            emptyText="No approaches screened"
+                        />
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ConjunctionPanel;
@@ -0,0 +1,67 @@
+import React, { useMemo } from 'react';
+import { Check } from 'lucide-react';
+import { CONSTELLATION_PRESETS, groupLabel } from '../services/constellations';
+
+/**
+ * Group/constellation filter with per-group object counts. Nothing selected shows every group;
+ * otherwise only objects in at least one selected group are drawn.
+ */
+const ConstellationFilterControls = ({ satellites, selected, onChange }) => {
+    const counts = useMemo(() => {
+        const result = new Map();
+        satellites.forEach(sat => (sat.groups || []).forEach(g => result.set(g, (result.get(g) || 0) + 1)));
+        return [...result.entries()].sort((a, b) => b[1] - a[1]);
+    }, [satellites]);
+
+    const toggle = (group) => {
+        onChange(selected.includes(group) ? selected.filter(g => g !== group) : [...selected, group]);
+    };
+
+    const isPreset = (groups) => groups.length === selected.length && groups.every(g => selected.includes(g));
+
+    return (
+        <div style={{ marginTop: '8px', borderTop: '1px solid #222', paddingTop: '6px', fontSize: '9px' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '2px', marginBottom: '4px' }}>
+                <span style={{ color: '#666', flex: 1 }}>CONSTELLATION</span>
+                <button
+                    className={`btn ${selected.length === 0 ? 'active' : ''} btn-interactive`}
+                    onClick={() => onChange([])}
+                    style={{ padding: '2px 5px', fontSize: '7px', borderRadius: '2px' }}
+                >
+                    ALL
+                </button>
+                {CONSTELLATION_PRESETS.map(preset => (
+                    <button
+                        key={preset.label}
+                        className={`btn ${isPreset(preset.groups) ? 'active' : ''} btn-interactive`}
+                        onClick={() => onChange(preset.groups)}
+                        style={{ padding: '2px 5px', fontSize: '7px', borderRadius: '2px' }}
+                    >
+                        {preset.label}
+                    </button>
+                ))}
+            </div>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '3px 8px', maxHeight: '100px', overflowY: 'auto' }}>
+                {counts.map(([group, count]) => (
+                    <div
+                        key={group}
+                        onClick={() => toggle(group)}
+                        style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer', minWidth: 0 }}
+                    >
+                        <div style={{
+                            width: '10px', height: '10px', border: '1px solid #333', flexShrink: 0,
+                            background: selected.includes(group) ? '#888' : 'transparent',
+                            display: 'flex', alignItems: 'center', justifyContent: 'center'
+                        }}>
+                            {selected.includes(group) && <Check size={8} color="#fff" strokeWidth={4} />}
+                        </div>
+                        <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{groupLabel(group)}</span>
+                        <span style={{ color: '#666' }}>{count}</span>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default ConstellationFilterControls;
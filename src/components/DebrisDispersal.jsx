@@ -0,0 +1,48 @@
+import React, { useMemo, useEffect } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import { EARTH_RADIUS } from '../services/propagation';
+import { dispersalTime, DISPERSAL_DURATION } from '../services/fragmentation';
+
+/**
+ * Writes the model's ECI positions into the points' buffer in scene coordinates.
+ * Same ECI -> scene mapping as the satellites: (x, y, z) -> (x, z, -y) in Earth radii.
+ */
+const fillCloud = (points, model, scratch, time) => {
+    model.write(time, scratch);
+    const array = points.geometry.attributes.position.array;
+    for (let i = 0; i < model.count; i++) {
+        array[i * 3] = scratch[i * 3] / EARTH_RADIUS;
+        array[i * 3 + 1] = scratch[i * 3 + 2] / EARTH_RADIUS;
+        array[i * 3 + 2] = -scratch[i * 3 + 1] / EARTH_RADIUS;
+    }
+    points.geometry.attributes.position.needsUpdate = true;
+};
+
+/**
+ * Reconstructed debris cloud replayed from the event epoch to the sim time the replay started at.
+ */
+const DebrisDispersal = ({ model, event, startedAt, endTime }) => {
+    const cloud = useMemo(() => {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(model.count * 3), 3));
+        const material = new THREE.PointsMaterial({ color: event.color, size: 3, sizeAttenuation: false, transparent: true, opacity: 0.9, depthWrite: false });
+        const points = new THREE.Points(geometry, material);
+        points.frustumCulled = false; // the bounds change every frame
+        return { points, scratch: new Float64Array(model.count * 3) };
+    }, [model, event]);
+
+    useEffect(() => () => {
+        cloud.points.geometry.dispose();
+        cloud.points.material.dispose();
+    }, [cloud]);
+
+    useFrame(() => {
+        const progress = Math.min((Date.now() - startedAt) / DISPERSAL_DURATION, 1);
+        fillCloud(cloud.points, model, cloud.scratch, dispersalTime(event, endTime, progress));
+    });
+
+    return <primitive object={cloud.points} />;
+};
+
+export default DebrisDispersal;
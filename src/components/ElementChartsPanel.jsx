@@ -0,0 +1,102 @@
+import React, { useState, useMemo } from 'react';
+import { Download } from 'lucide-react';
+import { elementSeries, elementSeriesToCsv } from '../services/elementSeries';
+import { catalogNumber } from '../services/tle';
+import { formatUtc } from '../services/format';
+import { downloadText } from '../services/download';
+import TimeSeriesChart from './TimeSeriesChart';
+
+const MIN_ZOOM_SPAN = 60000; // ms
+
+const fixed = (digits, unit = '') => (v) => `${v.toFixed(digits)}${unit}`;
+const exponent = (v) => v.toExponential(2);
+
+const CHARTS = [
+    { title: 'SEMI-MAJOR AXIS KM', lines: [{ key: 'sma', label: 'A', color: '#ED1C2E' }], format: fixed(2) },
+    {
+        title: 'PERIGEE / APOGEE ALT KM',
+        lines: [{ key: 'perigee', label: 'PER', color: '#4e79a7' }, { key: 'apogee', label: 'APO', color: '#ED1C2E' }],
+        format: fixed(1)
+    },
+    { title: 'INCLINATION', lines: [{ key: 'inc', label: 'I', color: '#ED1C2E' }], format: fixed(4, '°') },
+    // Unwrapped for plotting; readouts and labels fold back into 0-360
+    { title: 'RAAN', lines: [{ key: 'raanUnwrapped', label: 'Ω', color: '#ED1C2E' }], format: v => `${(((v % 360) + 360) % 360).toFixed(3)}°` },
+    { title: 'ECCENTRICITY', lines: [{ key: 'ecc', label: 'E', color: '#ED1C2E' }], format: fixed(6) },
+    { title: 'BSTAR 1/ER', lines: [{ key: 'bstar', label: 'B*', color: '#ED1C2E' }], format: exponent },
+    { title: 'MEAN MOTION DOT / 2 REV/D²', lines: [{ key: 'ndot', label: 'Ṅ', color: '#ED1C2E' }], format: exponent },
+    { title: 'MEAN MOTION DDOT / 6 REV/D³', lines: [{ key: 'nddot', label: 'N̈', color: '#ED1C2E' }], format: exponent }
+];
+
+/**
+ * Element time series of the selected object's fetched history, stacked on one shared time axis.
+ * Drag across any chart to zoom all of them; clicking a point moves the clock to that epoch.
+ */
+const ElementChartsPanel = ({ selectedSat, sets, onSelectTime }) => {
+    // Zoom and hover belong to the history they were made on
+    const [view, setView] = useState({ sets: null, zoom: null, hover: null });
+    const rows = useMemo(() => elementSeries(sets), [sets]);
+
+    if (!selectedSat || rows.length === 0) {
+        return (
+            <div style={{ padding: '8px', color: '#666', fontSize: '10px', textAlign: 'center', fontStyle: 'italic' }}>
+                Fetch historical data for a selected object to chart its elements
+            </div>
+        );
+    }
+
+    const current = view.sets === sets ? view : { sets, zoom: null, hover: null };
+    const domain = current.zoom || [rows[0].epoch, rows[rows.length - 1].epoch];
+    const update = (changes) => setView({ ...current, ...changes });
+
+    const exportCsv = () => {
+        const noradId = catalogNumber(selectedSat);
+        downloadText(`${noradId}_elements.csv`, elementSeriesToCsv(rows), 'text/csv');
+    };
+
+    return (
+        <div style={{ fontSize: '9px' }}>
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '6px', marginBottom: '8px' }}>
+                <span style={{ color: '#888' }}>
+                    {selectedSat.name} · {rows.length} SETS · {formatUtc(domain[0]).substring(0, 10)} → {formatUtc(domain[1]).substring(0, 10)}
+                </span>
+                <div style={{ display: 'flex', gap: '4px' }}>
+                    {current.zoom && (
+                        <button
+                            className="btn-interactive"
+                            onClick={() => update({ zoom: null })}
+                            style={{ background: '#222', border: '1px solid #333', color: '#fff', fontSize: '9px', borderRadius: '2px', fontFamily: 'Unbounded', padding: '3px 6px' }}
+                        >
+                            RESET ZOOM
+                        </button>
+                    )}
+                    <button
+                        className="btn-interactive"
+                        onClick={exportCsv}
+                        style={{ display: 'flex', alignItems: 'center', gap: '4px', background: '#222', border: '1px solid #333', color: '#fff', fontSize: '9px', borderRadius: '2px', fontFamily: 'Unbounded', padding: '3px 6px' }}
+                    >
+                        <Download size={10} /> CSV
+                    </button>
+                </div>
+            </div>
+
+            {CHARTS.map(chart => (
+                <TimeSeriesChart
+                    key={chart.title}
+                    {...chart}
+                    rows={rows}
+                    domain={domain}
+                    hoverEpoch={current.hover}
+                    onHover={(hover) => { if (hover !== current.hover) update({ hover }); }}
+                    onZoom={([t0, t1]) => { if (t1 - t0 >= MIN_ZOOM_SPAN) update({ zoom: [t0, t1] }); }}
+                    onSelect={onSelectTime}
+                />
+            ))}
+
+            <div style={{ color: '#666', marginTop: '4px' }}>
+                DRAG TO ZOOM · CLICK A POINT TO MOVE THE CLOCK TO ITS EPOCH
+            </div>
+        </div>
+    );
+};
+
+export default ElementChartsPanel;
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import { SIM_STATE } from '../services/simulationState';
+import { toUtcPickerValue, fromUtcPickerValue } from '../services/format';
+import { catalogNumber } from '../services/tle';
+import { downloadText } from '../services/download';
+import {
+    EPHEMERIS_FORMATS, MAX_EPHEMERIS_POINTS, ephemerisPointCount,
+    generateEphemeris, ephemerisToCsv, ephemerisToJson, ephemerisToOem
+} from '../services/ephemeris';
+
+// Span and step are kept as typed and only parsed for the export
+const DEFAULT_EXPORT = {
+    spanHours: '24',
+    stepSeconds: '60',
+    format: 'csv'
+};
+
+const parsePositive = (text) => {
+    const num = parseFloat(text);
+    return isFinite(num) && num > 0 ? num : NaN;
+};
+
+const MIME_TYPES = {
+    csv: 'text/csv',
+    json: 'application/json',
+    oem: 'text/plain'
+};
+
+/**
+ * Propagates the selected object over a chosen span and saves the states
+ * (TEME position/velocity, geodetic and derived values) as CSV, JSON or CCSDS OEM.
+ */
+const EphemerisExportPanel = ({ selectedSat }) => {
+    const [startValue, setStartValue] = useState(() => toUtcPickerValue(SIM_STATE.simTime));
+    const [settings, setSettings] = useState(DEFAULT_EXPORT);
+    const [message, setMessage] = useState(null);
+
+    if (!selectedSat) return null;
+
+    const start = fromUtcPickerValue(startValue);
+    const spanHours = parsePositive(settings.spanHours);
+    const stepSeconds = parsePositive(settings.stepSeconds);
+    const stop = start + spanHours * 3600000;
+    const points = isNaN(start) || isNaN(spanHours) || isNaN(stepSeconds) ? 0 : ephemerisPointCount(start, stop, stepSeconds);
+    const valid = points > 0 && points <= MAX_EPHEMERIS_POINTS;
+
+    const updateNumber = (key, value) => setSettings(prev => ({ ...prev, [key]: value }));
+
+    const exportStates = () => {
+        try {
+            const noradId = catalogNumber(selectedSat);
+            const object = { name: selectedSat.name, noradId, objectId: selectedSat.objectId || null };
+            const options = { frame: 'TEME', start, stop, stepSeconds };
+            const states = generateEphemeris(selectedSat.satrec, options);
+            if (states.length === 0) throw new Error('Propagation failed over the whole span');
+
+            const body = {
+                csv: () => ephemerisToCsv(states, options),
+                json: () => JSON.stringify(ephemerisToJson(object, states, options), null, 2),
+                oem: () => ephemerisToOem([{ object, states }], options)
+            }[settings.format]();
+
+            const stamp = new Date(start).toISOString().substring(0, 10);
+            downloadText(`${noradId}_${stamp}.${settings.format}`, body, MIME_TYPES[settings.format]);
+            setMessage(`${states.length} STATES EXPORTED`);
+        } catch (error) {
+            console.error('[EXPORT] Ephemeris export failed:', error);
+            setMessage(error.message.toUpperCase());
+        }
+    };
+
+    return (
+        <div className="border-animate" style={{ borderTopColor: '#111', marginTop: '10px', paddingTop: '10px', width: '100%', borderTopWidth: '1px', borderTopStyle: 'solid' }}>
+            <div className="reveal-mask" style={{ marginBottom: '6px' }}>
+                <div className="reveal-item stagger-10" style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
+                    <Download size={12} color="#ED1C2E" />
+                    <span style={{ color: '#666', fontSize: '10px' }}>EXPORT EPHEMERIS</span>
+                </div>
+            </div>
+
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', fontSize: '9px' }}>
+                <div>
+                    <div className="field-label">START (UTC)</div>
+                    <input
+                        className="field-input"
+                        type="datetime-local"
+                        step="1"
+                        value={startValue}
+                        onChange={(e) => setStartValue(e.target.value)}
+                        style={{ width: '100%', colorScheme: 'dark' }}
+                    />
+                </div>
+
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '6px' }}>
+                    <div>
+                        <div className="field-label">SPAN (H)</div>
+                        <input className="field-input" type="number" min="0" value={settings.spanHours} onChange={(e) => updateNumber('spanHours', e.target.value)} />
+                    </div>
+                    <div>
+                        <div className="field-label">STEP (S)</div>
+                        <input className="field-input" type="number" min="1" value={settings.stepSeconds} onChange={(e) => updateNumber('stepSeconds', e.target.value)} />
+                    </div>
+                </div>
+
+                <div style={{ display: 'flex', gap: '4px' }}>
+                    {EPHEMERIS_FORMATS.map(format => (
+                        <button
+                            key={format}
+                            className={`btn ${settings.format === format ? 'active' : ''} btn-interactive`}
+                            onClick={() => setSettings(prev => ({ ...prev, format }))}
+                            style={{ flex: 1, padding: '4px', fontSize: '9px', borderRadius: '2px' }}
+                        >
+                            {format.toUpperCase()}
+                        </button>
+                    ))}
+                </div>
+
+                <button
+                    className="btn-interactive"
+                    disabled={!valid}
+                    onClick={exportStates}
+                    style={{ background: '#222', border: '1px solid #333', color: valid ? '#fff' : '#666', padding: '6px', fontSize: '10px', fontFamily: 'Unbounded', borderRadius: '2px', width: '100%' }}
+                >
+                    EXPORT {points > 0 ? points : 0} STATES
+                </button>
+
+                {(isNaN(spanHours) || isNaN(stepSeconds)) && (
+                    <div style={{ color: '#ED1C2E' }}>SPAN AND STEP MUST BE POSITIVE NUMBERS</div>
+                )}
+                {points > MAX_EPHEMERIS_POINTS && (
+                    <div style={{ color: '#ED1C2E' }}>LIMIT IS {MAX_EPHEMERIS_POINTS} STATES, INCREASE THE STEP</div>
+                )}
+                {message && <div style={{ color: '#888' }}>{message}</div>}
+            </div>
+        </div>
+    );
+};
+
+export default EphemerisExportPanel;
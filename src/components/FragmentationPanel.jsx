@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Play, Square } from 'lucide-react';
+import {
+    FRAGMENTATION_EVENTS,
+    fragmentsOf,
+    cloudSpread,
+    fetchEventDebris,
+    fragmentCountSeries,
+    dispersalTime,
+    formatElapsed,
+    DISPERSAL_DURATION
+} from '../services/fragmentation';
+import { SIM_STATE } from '../services/simulationState';
+import { formatUtc } from '../services/format';
+import TimeSeriesChart from './TimeSeriesChart';
+
+const FORECAST_YEARS = 5;
+const YEAR_MS = 365.25 * 86400000;
+const MIN_ZOOM_SPAN = 86400000; // ms
+const REPLAY_TICK = 100; // ms between replay readout updates
+
+const buttonStyle = { display: 'flex', alignItems: 'center', gap: '4px', background: '#222', border: '1px solid #333', color: '#fff', fontSize: '9px', borderRadius: '2px', fontFamily: 'Unbounded', padding: '3px 6px' };
+
+const formatDay = (time) => formatUtc(time).substring(0, 10);
+
+const Stat = ({ label, value }) => (
+    <div>
+        <div style={{ color: '#666', fontSize: '8px' }}>{label}</div>
+        <div style={{ color: '#fff' }}>{value}</div>
+    </div>
+);
+
+/**
+ * Debris clouds grouped by the breakup that created them: the tracked cloud's extent, the
+ * number of pieces in orbit since the event, and a replay of the cloud spreading out.
+ * Catalogued counts come from the CelesTrak SATCAT and are fetched when an event is opened.
+ */
+const FragmentationPanel = ({ satellites, decays, groupFilter, onChangeGroupFilter, dispersal, onReplay, onSelectTime }) => {
+    const [eventKey, setEventKey] = useState(FRAGMENTATION_EVENTS[0].key);
+    const [satcat, setSatcat] = useState({}); // event key -> { records } | { error }
+    const [view, setView] = useState({ eventKey: null, zoom: null, hover: null });
+    const [now, setNow] = useState(() => Date.now());
+
+    const event = FRAGMENTATION_EVENTS.find(e => e.key === eventKey);
+    const fetched = satcat[eventKey];
+
+    useEffect(() => {
+        if (fetched) return undefined;
+        let cancelled = false;
+        fetchEventDebris(event)
+            .then(records => {
+                if (!cancelled) setSatcat(prev => ({ ...prev, [event.key]: { records } }));
+            })
+            .catch(error => {
+                console.warn(`[SATCAT] Failed to fetch ${event.label} debris records:`, error);
+                if (!cancelled) setSatcat(prev => ({ ...prev, [event.key]: { error: error.message } }));
+            });
+        return () => { cancelled = true; };
+    }, [event, fetched]);
+
+    // The readout follows the replay; otherwise the clock only matters for the forecast split
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), dispersal ? REPLAY_TICK : 60000);
+        return () => clearInterval(interval);
+    }, [dispersal]);
+
+    const counts = useMemo(
+        () => new Map(FRAGMENTATION_EVENTS.map(e => [e.key, fragmentsOf(satellites, e).length])),
+        [satellites]
+    );
+    const fragments = useMemo(() => fragmentsOf(satellites, event), [satellites, event]);
+    const spread = useMemo(() => cloudSpread(fragments), [fragments]);
+
+    // Sampled at the hour so the rows only change when the clock moves on noticeably
+    const hour = Math.floor(now / 3600000) * 3600000;
+    const rows = useMemo(() => fragmentCountSeries({
+        event,
+        records: fetched?.records || null,
+        fragments,
+        decays,
+        now: hour,
+        until: hour + FORECAST_YEARS * YEAR_MS
+    }), [event, fetched, fragments, decays, hour]);
+
+    const current = view.eventKey === eventKey ? view : { eventKey, zoom: null, hover: null };
+    const domain = current.zoom || [rows[0].epoch, rows[rows.length - 1].epoch];
+    const updateView = (changes) => setView({ ...current, ...changes });
+
+    const records = fetched?.records;
+    const decayed = records ? records.filter(r => r.decay !== null).length : null;
+    const replaying = dispersal && dispersal.eventKey === eventKey;
+    const replayTime = replaying
+        ? dispersalTime(event, dispersal.endTime, Math.min((now - dispersal.startedAt) / DISPERSAL_DURATION, 1))
+        : null;
+    const showing = groupFilter.length === 1 && groupFilter[0] === event.group;
+
+    return (
+        <div style={{ fontSize: '9px' }}>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '2px', marginBottom: '8px' }}>
+                {FRAGMENTATION_EVENTS.map(e => (
+                    <div
+                        key={e.key}
+                        className="btn-interactive"
+                        onClick={() => setEventKey(e.key)}
+                        style={{
+                            display: 'flex',
+                            alignItems: 'center',
+                            gap: '6px',
+                            padding: '4px 6px',
+                            cursor: 'pointer',
+                            borderRadius: '2px',
+                            background: e.key === eventKey ? '#222' : 'transparent',
+                            border: `1px solid ${e.key === eventKey ? '#333' : 'transparent'}`
+                        }}
+                    >
+                        <span style={{ width: '8px', height: '8px', borderRadius: '50%', background: e.color, flexShrink: 0 }} />
+                        <span style={{ color: '#fff', flex: 1 }}>{e.label}</span>
+                        <span style={{ color: '#666' }}>{e.kind}</span>
+                        <span style={{ color: '#888', width: '70px', textAlign: 'right' }}>{formatDay(e.time)}</span>
+                        <span style={{ color: '#fff', width: '44px', textAlign: 'right' }}>{counts.get(e.key)}</span>
+                    </div>
+                ))}
+            </div>
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '6px', marginBottom: '8px' }}>
+                <Stat label="TRACKED" value={fragments.length} />
+                <Stat label="CATALOGUED" value={records ? records.length : fetched?.error ? '—' : '…'} />
+                <Stat label="DECAYED" value={decayed === null ? '—' : decayed} />
+                <Stat label="PLANE SPREAD" value={spread ? `${spread.raanSpan.toFixed(0)}°` : '—'} />
+                <Stat label="PERIGEE KM" value={spread ? `${spread.perigee[0].toFixed(0)}–${spread.perigee[1].toFixed(0)}` : '—'} />
+                <Stat label="APOGEE KM" value={spread ? `${spread.apogee[0].toFixed(0)}–${spread.apogee[1].toFixed(0)}` : '—'} />
+                <Stat label="INCLINATION" value={spread ? `${spread.incMean.toFixed(2)}° ±${spread.incStd.toFixed(2)}` : '—'} />
+                <Stat label="SINCE EVENT" value={formatElapsed(now - event.time)} />
+            </div>
+
+            <div style={{ display: 'flex', alignItems: 'center', gap: '4px', marginBottom: '6px' }}>
+                <button
+                    className={`btn ${showing ? 'active' : ''} btn-interactive`}
+                    onClick={() => onChangeGroupFilter(showing ? [] : [event.group])}
+                    style={{ padding: '3px 6px', fontSize: '9px', borderRadius: '2px' }}
+                >
+                    SHOW ONLY IN 3D
+                </button>
+                {replaying ? (
+                    <button className="btn-interactive" onClick={() => onReplay(null)} style={buttonStyle}>
+                        <Square size={10} /> STOP
+                    </button>
+                ) : (
+                    <button
+                        className="btn-interactive"
+                        disabled={fragments.length === 0}
+                        onClick={() => onReplay({ eventKey, startedAt: Date.now(), endTime: Math.max(SIM_STATE.simTime, event.time) })}
+                        style={{ ...buttonStyle, opacity: fragments.length === 0 ? 0.4 : 1 }}
+                    >
+                        <Play size={10} /> REPLAY DISPERSAL
+                    </button>
+                )}
+                {current.zoom && (
+                    <button className="btn-interactive" onClick={() => updateView({ zoom: null })} style={buttonStyle}>
+                        RESET ZOOM
+                    </button>
+                )}
+            </div>
+
+            {replaying && (
+                <div style={{ color: event.color, marginBottom: '6px' }}>
+                    {formatUtc(replayTime)} · T+{formatElapsed(replayTime - event.time)}
+                </div>
+            )}
+
+            <TimeSeriesChart
+                title="FRAGMENTS IN ORBIT"
+                rows={rows}
+                lines={[
+                    { key: 'history', label: 'CATALOG', color: event.color },
+                    { key: 'forecast', label: decays ? 'FORECAST' : 'FORECAST …', color: '#888' }
+                ]}
+                format={v => v.toFixed(0)}
+                formatTime={formatDay}
+                domain={domain}
+                hoverEpoch={current.hover}
+                onHover={(hover) => { if (hover !== current.hover) updateView({ hover }); }}
+                onZoom={([t0, t1]) => { if (t1 - t0 >= MIN_ZOOM_SPAN) updateView({ zoom: [t0, t1] }); }}
+                onSelect={onSelectTime}
+            />
+
+            <div style={{ color: '#666', fontSize: '8px', lineHeight: 1.5 }}>
+                {fetched?.error ? 'SATCAT UNAVAILABLE, NO CATALOG HISTORY. ' : ''}
+                {decays ? '' : 'FORECAST PENDING UNTIL THE REENTRY ESTIMATES FINISH. '}
+                CATALOG: PIECES ON RECORD NOT YET DECAYED. FORECAST: TRACKED PIECES LEFT AFTER THEIR PREDICTED REENTRIES.
+                THE REPLAY RUNS THE TRACKED PIECES BACK TO THE EVENT UNDER J2 DRIFT ONLY, ON A LOGARITHMIC CLOCK UP TO THE SIM TIME.
+            </div>
+        </div>
+    );
+};
+
+export default FragmentationPanel;
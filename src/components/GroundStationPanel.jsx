@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Radio, Trash2 } from 'lucide-react';
+import { useGroundStations } from '../hooks/useGroundStations';
+import { getLookAngles, predictPasses, DEFAULT_PASS_OPTIONS } from '../services/passes';
+import { formatUtc } from '../services/format';
+import { SIM_STATE } from '../services/simulationState';
+
+// Re-run the prediction once the clock leaves this much of the window behind
+const RECOMPUTE_AFTER = 6 * 3600000;
+const MAX_LISTED_PASSES = 8;
+
+const EMPTY_SITE = { name: '', latitude: '', longitude: '', altitude: '0' };
+
+// Elevation masks outside the sky would silently hide every pass
+const clampMask = (value) => Math.min(Math.max(parseFloat(value) || 0, 0), 90);
+
+const GroundStationPanel = ({ selectedSat, onSelectPass }) => {
+    const { sites, activeSite, setActiveSiteId, addSite, removeSite } = useGroundStations();
+    const [draft, setDraft] = useState(EMPTY_SITE);
+    const [showForm, setShowForm] = useState(false);
+    const [minElevation, setMinElevation] = useState(DEFAULT_PASS_OPTIONS.minElevation);
+    const [windowStart, setWindowStart] = useState(() => SIM_STATE.simTime);
+    const [look, setLook] = useState(null);
+    const [now, setNow] = useState(windowStart);
+
+    const passes = useMemo(() => {
+        if (!selectedSat || !activeSite) return [];
+        return predictPasses(selectedSat.satrec, activeSite, windowStart, { minElevation });
+    }, [selectedSat, activeSite, windowStart, minElevation]);
+
+    useEffect(() => {
+        if (!selectedSat || !activeSite) return;
+        const interval = setInterval(() => {
+            const simTime = SIM_STATE.simTime;
+            if (simTime < windowStart) {
+                // Playing backwards or jumped back: open the window early so it still covers the clock for a while
+                setWindowStart(simTime - RECOMPUTE_AFTER);
+            } else if (simTime > windowStart + RECOMPUTE_AFTER) {
+                setWindowStart(simTime);
+            }
+            setNow(simTime);
+            setLook(getLookAngles(selectedSat.satrec, activeSite, new Date(simTime)));
+        }, 500);
+        return () => clearInterval(interval);
+    }, [selectedSat, activeSite, windowStart]);
+
+    const submitSite = () => {
+        const latitude = parseFloat(draft.latitude);
+        const longitude = parseFloat(draft.longitude);
+        const altitude = parseFloat(draft.altitude) || 0;
+        if (isNaN(latitude) || latitude < -90 || latitude > 90) return;
+        if (isNaN(longitude) || longitude < -180 || longitude > 180) return;
+        addSite({ name: draft.name.trim() || `SITE ${sites.length + 1}`, latitude, longitude, altitude });
+        setDraft(EMPTY_SITE);
+        setShowForm(false);
+    };
+
+    if (!selectedSat) return null;
+
+    const upcoming = passes.filter(p => p.los >= now).slice(0, MAX_LISTED_PASSES);
+
+    return (
+        <div className="border-animate" style={{ borderTopColor: '#111', marginTop: '10px', paddingTop: '10px', width: '100%', borderTopWidth: '1px', borderTopStyle: 'solid' }}>
+            <div className="reveal-mask" style={{ marginBottom: '6px' }}>
+                <div className="reveal-item stagger-7" style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
+                    <Radio size={12} color="#ED1C2E" />
+                    <span style={{ color: '#666', fontSize: '10px' }}>GROUND STATIONS</span>
+                </div>
+            </div>
+
+            <div style={{ display: 'flex', gap: '4px', marginBottom: '6px' }}>
+                <select
+                    className="field-input"
+                    value={activeSite?.id || ''}
+                    onChange={(e) => setActiveSiteId(e.target.value)}
+                    style={{ flex: 1 }}
+                >
+                    {sites.length === 0 && <option value="">NO SITES</option>}
+                    {sites.map(site => (
+                        <option key={site.id} value={site.id} style={{ background: '#111' }}>{site.name}</option>
+                    ))}
+                </select>
+                {activeSite && (
+                    <button className="btn btn-interactive" onClick={() => removeSite(activeSite.id)} style={{ padding: '4px 6px', borderRadius: '2px' }} title="REMOVE SITE">
+                        <Trash2 size={10} />
+                    </button>
+                )}
+                <button className={`btn ${showForm ? 'active' : ''} btn-interactive`} onClick={() => setShowForm(!showForm)} style={{ padding: '4px 8px', fontSize: '9px', borderRadius: '2px' }}>
+                    + SITE
+                </button>
+            </div>
+
+            {showForm && (
+                <div className="fade-in" style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '6px', marginBottom: '8px' }}>
+                    {[['name', 'NAME'], ['latitude', 'LAT (°)'], ['longitude', 'LON (°)'], ['altitude', 'ALT (M)']].map(([key, label]) => (
+                        <div key={key}>
+                            <div className="field-label">{label}</div>
+                            <input
+                                className="field-input"
+                                type={key === 'name' ? 'text' : 'number'}
+                                value={draft[key]}
+                                onChange={(e) => setDraft(prev => ({ ...prev, [key]: e.target.value }))}
+                            />
+                        </div>
+                    ))}
+                    <button className="btn btn-interactive" onClick={submitSite} style={{ gridColumn: 'span 2', padding: '4px', fontSize: '9px', borderRadius: '2px' }}>
+                        ADD SITE
+                    </button>
+                </div>
+            )}
+
+            {activeSite && look && (
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', fontSize: '10px', marginBottom: '8px' }}>
+                    <div>
+                        <div style={{ color: '#888' }}>AZIMUTH</div>
+                        <div style={{ fontSize: '12px' }}>{look.azimuth.toFixed(2)}°</div>
+                    </div>
+                    <div>
+                        <div style={{ color: '#888' }}>ELEVATION</div>
+                        <div style={{ fontSize: '12px', color: look.elevation >= minElevation ? '#00aa00' : '#fff' }}>{look.elevation.toFixed(2)}°</div>
+                    </div>
+                    <div>
+                        <div style={{ color: '#888' }}>RANGE</div>
+                        <div style={{ fontSize: '12px' }}>{look.range.toFixed(1)} km</div>
+                    </div>
+                    <div>
+                        <div style={{ color: '#888' }}>RANGE RATE</div>
+                        <div style={{ fontSize: '12px' }}>{look.rangeRate.toFixed(3)} km/s</div>
+                    </div>
+                </div>
+            )}
+
+            {activeSite && (
+                <>
+                    <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '4px' }}>
+                        <span style={{ color: '#666', fontSize: '9px' }}>UPCOMING PASSES</span>
+                        <span style={{ display: 'flex', alignItems: 'center', gap: '4px', color: '#666', fontSize: '9px' }}>
+                            MASK
+                            <input
+                                className="field-input"
+                                type="number"
+                                min="0"
+                                max="90"
+                                value={minElevation}
+                                onChange={(e) => setMinElevation(clampMask(e.target.value))}
+                                style={{ width: '44px' }}
+                            />
+                            °
+                        </span>
+                    </div>
+                    {upcoming.length === 0 ? (
+                        <div style={{ color: '#666', fontSize: '10px', fontStyle: 'italic' }}>No passes in the next {DEFAULT_PASS_OPTIONS.hours}h</div>
+                    ) : (
+                        upcoming.map(pass => (
+                            <div
+                                key={pass.aos}
+                                className="sat-item"
+                                onClick={() => onSelectPass(pass)}
+                                style={{ padding: '6px 4px', fontSize: '9px', display: 'flex', flexDirection: 'column', gap: '2px' }}
+                            >
+                                <span style={{ color: pass.inProgress ? '#00aa00' : '#fff' }}>
+                                    AOS {formatUtc(pass.aos)}{pass.inProgress ? ' (IN PROGRESS)' : ''}
+                                </span>
+                                <span style={{ color: '#888' }}>
+                                    TCA {formatUtc(pass.tca).substring(11)} · LOS {pass.losPastWindow ? 'AFTER ' : ''}{formatUtc(pass.los).substring(11)} · MAX {pass.losPastWindow ? '≥' : ''}{pass.maxElevation.toFixed(1)}°
+                                </span>
+                            </div>
+                        ))
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default GroundStationPanel;
@@ -0,0 +1,139 @@
+import React, { useRef, useMemo, useEffect } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import * as satellite from 'satellite.js';
+import { EARTH_RADIUS } from '../services/propagation';
+import { SIM_STATE } from '../services/simulationState';
+
+// Lift the lines just off the texture so they don't z-fight with the Earth sphere
+const SURFACE_RADIUS = 1.002;
+const TRACK_STEP = 30000; // ms of sim time between track samples
+const FOOTPRINT_SEGMENTS = 96;
+
+/**
+ * Writes the Earth-fixed scene position of a geodetic point into `out` at index i.
+ * Scene axes: X = ECEF X, Y = ECEF Z (north), Z = -ECEF Y.
+ */
+const writeSurfacePoint = (out, i, lat, lon) => {
+    const cosLat = Math.cos(lat);
+    out[i * 3] = SURFACE_RADIUS * cosLat * Math.cos(lon);
+    out[i * 3 + 1] = SURFACE_RADIUS * Math.sin(lat);
+    out[i * 3 + 2] = -SURFACE_RADIUS * cosLat * Math.sin(lon);
+};
+
+const subSatellitePoint = (satrec, time) => {
+    const date = new Date(time);
+    const pv = satellite.propagate(satrec, date);
+    if (!pv || !pv.position) return null;
+    return satellite.eciToGeodetic(pv.position, satellite.gstime(date));
+};
+
+/**
+ * Earth-central half angle of the area that sees the satellite above minElevation.
+ */
+const footprintAngle = (height, minElevation) => {
+    const elevation = THREE.MathUtils.degToRad(minElevation);
+    return Math.acos((EARTH_RADIUS / (EARTH_RADIUS + height)) * Math.cos(elevation)) - elevation;
+};
+
+const fillTrack = (line, satrec, startTime, samples, direction) => {
+    const array = line.geometry.attributes.position.array;
+    let n = 0;
+    for (let k = 0; k < samples; k++) {
+        const geo = subSatellitePoint(satrec, startTime + direction * k * TRACK_STEP);
+        if (!geo) break;
+        writeSurfacePoint(array, n++, geo.latitude, geo.longitude);
+    }
+    line.geometry.setDrawRange(0, n);
+    line.geometry.attributes.position.needsUpdate = true;
+};
+
+/**
+ * Small circle of radius lambda around the sub-satellite point (spherical destination formula).
+ */
+const fillFootprint = (line, geo, minElevation) => {
+    if (!geo) {
+        line.geometry.setDrawRange(0, 0);
+        return;
+    }
+    const lambda = footprintAngle(geo.height, minElevation);
+    const sinLat = Math.sin(geo.latitude);
+    const cosLat = Math.cos(geo.latitude);
+    const array = line.geometry.attributes.position.array;
+    for (let i = 0; i < FOOTPRINT_SEGMENTS; i++) {
+        const bearing = (i / FOOTPRINT_SEGMENTS) * Math.PI * 2;
+        const lat = Math.asin(sinLat * Math.cos(lambda) + cosLat * Math.sin(lambda) * Math.cos(bearing));
+        const lon = geo.longitude + Math.atan2(
+            Math.sin(bearing) * Math.sin(lambda) * cosLat,
+            Math.cos(lambda) - sinLat * Math.sin(lat)
+        );
+        writeSurfacePoint(array, i, lat, lon);
+    }
+    line.geometry.setDrawRange(0, FOOTPRINT_SEGMENTS);
+    line.geometry.attributes.position.needsUpdate = true;
+};
+
+const makeLine = (maxPoints, color, opacity, loop = false) => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(maxPoints * 3), 3));
+    geometry.setDrawRange(0, 0);
+    const material = new THREE.LineBasicMaterial({ color, transparent: true, opacity, depthWrite: false });
+    return loop ? new THREE.LineLoop(geometry, material) : new THREE.Line(geometry, material);
+};
+
+/**
+ * Sub-satellite ground track and coverage footprint, drawn in the Earth-fixed frame.
+ * The wrapping group is rotated by GMST like <Earth />, so the lines stay glued to the surface.
+ */
+const GroundTrack = ({ satrec, showTrack, showFootprint, pastMinutes, futureMinutes, minElevation }) => {
+    const groupRef = useRef();
+    const lastTrackTime = useRef(null);
+
+    const pastSamples = Math.max(Math.ceil((pastMinutes * 60000) / TRACK_STEP), 0) + 1;
+    const futureSamples = Math.max(Math.ceil((futureMinutes * 60000) / TRACK_STEP), 0) + 1;
+
+    const lines = useMemo(() => ({
+        past: makeLine(pastSamples, '#ED1C2E', 0.35),
+        future: makeLine(futureSamples, '#ED1C2E', 0.9),
+        footprint: makeLine(FOOTPRINT_SEGMENTS, '#ffffff', 0.6, true)
+    }), [pastSamples, futureSamples]);
+
+    useEffect(() => () => {
+        Object.values(lines).forEach(line => {
+            line.geometry.dispose();
+            line.material.dispose();
+        });
+    }, [lines]);
+
+    // Force a fresh track whenever the object or the window changes
+    useEffect(() => {
+        lastTrackTime.current = null;
+    }, [lines, satrec, showTrack]);
+
+    useFrame(() => {
+        if (!groupRef.current) return;
+        const time = SIM_STATE.simTime;
+        groupRef.current.rotation.y = satellite.gstime(new Date(time));
+
+        // The track only changes meaningfully once the clock has moved by a sample step
+        if (showTrack && (lastTrackTime.current === null || Math.abs(time - lastTrackTime.current) >= TRACK_STEP)) {
+            fillTrack(lines.past, satrec, time, pastSamples, -1);
+            fillTrack(lines.future, satrec, time, futureSamples, 1);
+            lastTrackTime.current = time;
+        }
+
+        if (showFootprint) {
+            fillFootprint(lines.footprint, subSatellitePoint(satrec, time), minElevation);
+        }
+    });
+
+    return (
+        <group ref={groupRef}>
+            {showTrack && <primitive object={lines.past} />}
+            {showTrack && <primitive object={lines.future} />}
+            {showFootprint && <primitive object={lines.footprint} />}
+        </group>
+    );
+};
+
+export default GroundTrack;
@@ -0,0 +1,61 @@
+import React from 'react';
+import { Globe, Check } from 'lucide-react';
+
+const MAX_WINDOW_MINUTES = 24 * 60;
+
+const Toggle = ({ label, checked, onClick }) => (
+    <div onClick={onClick} style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer', fontSize: '9px' }}>
+        <div style={{
+            width: '10px', height: '10px', border: '1px solid #333',
+            background: checked ? '#ED1C2E' : 'transparent',
+            display: 'flex', alignItems: 'center', justifyContent: 'center'
+        }}>
+            {checked && <Check size={8} color="#111" strokeWidth={4} />}
+        </div>
+        <span>{label}</span>
+    </div>
+);
+
+const GroundTrackControls = ({ settings, onChange }) => {
+    const update = (key, value) => onChange({ ...settings, [key]: value });
+
+    const updateNumber = (key, value) => {
+        const num = parseFloat(value);
+        if (isNaN(num) || num < 0) return;
+        update(key, Math.min(num, key === 'minElevation' ? 89 : MAX_WINDOW_MINUTES));
+    };
+
+    return (
+        <div className="border-animate" style={{ borderTopColor: '#111', marginTop: '10px', paddingTop: '10px', width: '100%', borderTopWidth: '1px', borderTopStyle: 'solid' }}>
+            <div className="reveal-mask" style={{ marginBottom: '6px' }}>
+                <div className="reveal-item stagger-6" style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
+                    <Globe size={12} color="#ED1C2E" />
+                    <span style={{ color: '#666', fontSize: '10px' }}>GROUND TRACK</span>
+                </div>
+            </div>
+
+            <div style={{ display: 'flex', gap: '12px', marginBottom: '6px' }}>
+                <Toggle label="TRACK" checked={settings.showTrack} onClick={() => update('showTrack', !settings.showTrack)} />
+                <Toggle label="FOOTPRINT" checked={settings.showFootprint} onClick={() => update('showFootprint', !settings.showFootprint)} />
+            </div>
+
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '6px' }}>
+                {[['pastMinutes', 'PAST (MIN)'], ['futureMinutes', 'NEXT (MIN)'], ['minElevation', 'MIN EL (°)']].map(([key, label]) => (
+                    <div key={key}>
+                        <div className="field-label">{label}</div>
+                        <input
+                            className="field-input"
+                            type="number"
+                            min="0"
+                            max={key === 'minElevation' ? 89 : MAX_WINDOW_MINUTES}
+                            value={settings[key]}
+                            onChange={(e) => updateNumber(key, e.target.value)}
+                        />
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default GroundTrackControls;
@@ -0,0 +1,81 @@
+import React, { useState, useMemo } from 'react';
+import { detectManeuvers, DEFAULT_MANEUVER_DETECTION } from '../services/maneuvers';
+import { formatUtc } from '../services/format';
+import SortableTable from './SortableTable';
+
+const signed = (digits) => (value) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+
+const COLUMNS = [
+    { key: 'end', label: 'EPOCH (UTC)', render: e => formatUtc(e.end).substring(0, 16) },
+    { key: 'type', label: 'TYPE' },
+    { key: 'dSma', label: 'ΔA KM', render: e => signed(2)(e.dSma) },
+    { key: 'dInc', label: 'ΔI °', render: e => signed(3)(e.dInc) },
+    { key: 'dEcc', label: 'ΔE', render: e => signed(5)(e.dEcc) },
+    { key: 'deltaV', label: 'ΔV M/S', value: e => e.deltaV.total, render: e => e.deltaV.total.toFixed(2) }
+];
+
+/**
+ * Maneuvers found in the fetched element history, with their estimated delta-v.
+ * An event's epoch is the first set after the jump; the burn happened since the set before it.
+ */
+const ManeuverPanel = ({ sets, onSelectTime }) => {
+    const [sigma, setSigma] = useState(DEFAULT_MANEUVER_DETECTION.sigma);
+    const [selected, setSelected] = useState(null);
+
+    const events = useMemo(() => detectManeuvers(sets, { sigma }), [sets, sigma]);
+    const totalDeltaV = events.reduce((sum, e) => sum + e.deltaV.total, 0);
+    const selectedEvent = events.find(e => e.start === selected);
+
+    return (
+        <div style={{ marginTop: '8px', borderTop: '1px solid #222', paddingTop: '6px', fontSize: '9px' }}>
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '6px', marginBottom: '4px' }}>
+                <span style={{ color: '#666' }}>
+                    MANEUVERS: <span style={{ color: events.length ? '#ED1C2E' : '#888' }}>{events.length}</span>
+                    {events.length > 0 && <span style={{ color: '#888' }}> · ΣΔV {totalDeltaV.toFixed(1)} M/S</span>}
+                </span>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '4px', color: '#666' }} title="NOISE MULTIPLE A JUMP MUST EXCEED">
+                    σ
+                    <input
+                        className="field-input"
+                        type="number"
+                        min="2"
+                        max="20"
+                        value={sigma}
+                        onChange={(e) => {
+                            const num = parseFloat(e.target.value);
+                            if (!isNaN(num) && num >= 2) setSigma(Math.min(num, 20));
+                        }}
+                        style={{ width: '40px' }}
+                    />
+                </label>
+            </div>
+
+            <div style={{ maxHeight: '140px', overflowY: 'auto' }}>
+                <SortableTable
+                    columns={COLUMNS}
+                    rows={events}
+                    rowKey={e => e.start}
+                    isSelected={e => e.start === selected}
+                    onRowClick={(e) => {
+                        setSelected(e.start);
+                        onSelectTime(e.end);
+                    }}
+                    defaultSort={{ key: 'end', dir: 1 }}
+                    emptyText={sets.length < 2 ? 'Needs at least two element sets' : 'No maneuvers detected'}
+                />
+            </div>
+
+            {selectedEvent && (
+                <div style={{ marginTop: '4px', color: '#888', lineHeight: 1.5 }}>
+                    <div>BETWEEN {formatUtc(selectedEvent.start)} AND {formatUtc(selectedEvent.end)}</div>
+                    <div>
+                        IN-PLANE {selectedEvent.deltaV.inPlane.toFixed(2)} M/S · CROSS-TRACK {selectedEvent.deltaV.crossTrack.toFixed(2)} M/S
+                        · JUMPED: {selectedEvent.elements.map(k => k.toUpperCase()).join(', ')}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ManeuverPanel;
@@ -0,0 +1,95 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { isShownInScene, populationRows } from '../services/population';
+import { formatUtc } from '../services/format';
+import ScatterPlot from './ScatterPlot';
+
+// Stale flags drift slowly, as in the 3D scene
+const STALE_REFRESH = 10 * 60 * 1000;
+
+const km = (v) => (v >= 10000 ? `${(v / 1000).toFixed(0)}K` : v.toFixed(0));
+const degrees = (v) => `${v.toFixed(1)}°`;
+
+const PLOTS = [
+    {
+        title: 'GABBARD · ALTITUDE KM VS PERIOD MIN',
+        series: [
+            { key: 'apogee', label: 'APOGEE', color: '#ED1C2E', x: r => r.period, y: r => r.apogee },
+            { key: 'perigee', label: 'PERIGEE', color: '#4e79a7', x: r => r.period, y: r => r.perigee }
+        ],
+        xAxis: { format: v => v.toFixed(0), log: true },
+        yAxis: { format: km, log: true }
+    },
+    {
+        title: 'INCLINATION VS MEAN ALTITUDE KM',
+        series: [{ key: 'inc', label: 'INC', color: '#ccc', x: r => r.altitude, y: r => r.inc }],
+        xAxis: { format: km, log: true },
+        yAxis: { format: degrees }
+    },
+    {
+        title: 'RAAN VS ELEMENT EPOCH',
+        series: [{ key: 'raan', label: 'RAAN', color: '#ccc', x: r => r.epoch, y: r => r.raan }],
+        xAxis: { format: v => formatUtc(v).substring(5, 10) },
+        yAxis: { format: degrees, domain: [0, 360] }
+    }
+];
+
+/**
+ * Gabbard diagram and population scatter plots of the objects the 3D scene currently shows.
+ * Brushing a box in any plot highlights those objects in every plot and on the globe;
+ * clicking a point selects its object.
+ */
+const PopulationPanel = ({ satellites, filters, highlightIds, brushed, selectedSatId, onBrush, onSelect }) => {
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), STALE_REFRESH);
+        return () => clearInterval(timer);
+    }, []);
+
+    const rows = useMemo(
+        () => populationRows(satellites.filter(sat => isShownInScene(sat, filters, now))),
+        [satellites, filters, now]
+    );
+
+    return (
+        <div style={{ fontSize: '9px' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '8px' }}>
+                <span style={{ color: '#888', flex: 1 }}>
+                    {rows.length} OBJECTS IN VIEW{brushed ? ` · ${brushed.size} BRUSHED` : ''}
+                </span>
+                {brushed && (
+                    <button
+                        className="btn-interactive"
+                        onClick={() => onBrush(null)}
+                        style={{ background: '#222', border: '1px solid #333', color: '#fff', fontSize: '9px', borderRadius: '2px', fontFamily: 'Unbounded', padding: '3px 6px' }}
+                    >
+                        CLEAR BRUSH
+                    </button>
+                )}
+            </div>
+
+            {rows.length === 0 ? (
+                <div style={{ padding: '8px', color: '#666', fontSize: '10px', textAlign: 'center', fontStyle: 'italic' }}>
+                    No objects pass the current filters
+                </div>
+            ) : PLOTS.map(plot => (
+                <ScatterPlot
+                    key={plot.title}
+                    {...plot}
+                    rows={rows}
+                    highlightIds={highlightIds}
+                    selectedId={selectedSatId}
+                    onBrush={onBrush}
+                    onPick={onSelect}
+                />
+            ))}
+
+            <div style={{ color: '#666', fontSize: '8px', lineHeight: 1.5 }}>
+                DRAG A BOX TO HIGHLIGHT OBJECTS IN 3D · CLICK A POINT TO SELECT IT · CLICK EMPTY SPACE TO CLEAR.
+                FOLLOWS THE CATEGORY, STALE (HIDE), REGIME AND CONSTELLATION FILTERS.
+            </div>
+        </div>
+    );
+};
+
+export default PopulationPanel;
@@ -0,0 +1,104 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { reentryWatchList, daysToDecay } from '../services/lifetime';
+import { meanElements } from '../services/orbitalElements';
+import SortableTable from './SortableTable';
+
+const REFRESH_INTERVAL = 60000; // ms between "days left" updates
+
+const formatDate = (time) => new Date(time).toISOString().substring(0, 10);
+
+/**
+ * Objects predicted to reenter within the chosen number of days, sortable by predicted date.
+ * Predictions that have already passed stay listed; the object has likely decayed.
+ * `estimates` is useDecayEstimates' result; the list waits for the catalog estimates.
+ */
+const ReentryWatchPanel = ({ satellites, estimates, withinDays, onChangeWithinDays, selectedSatId, onSelect, onHighlight }) => {
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), REFRESH_INTERVAL);
+        return () => clearInterval(interval);
+    }, []);
+
+    const { decays } = estimates;
+    const rows = useMemo(() => (decays ? reentryWatchList(satellites, decays, withinDays, now) : []).map(sat => {
+        const decay = decays.get(sat.id);
+        return {
+            id: sat.id,
+            name: sat.name,
+            category: sat.category,
+            perigee: meanElements(sat.satrec)?.perigee ?? null,
+            date: decay.date,
+            early: decay.early,
+            late: decay.late,
+            lateBeyond: decay.lateBeyond,
+            source: decay.source,
+            daysLeft: daysToDecay(decay, now)
+        };
+    }), [satellites, decays, withinDays, now]);
+
+    const columns = [
+        { key: 'name', label: 'NAME' },
+        { key: 'perigee', label: 'PERIGEE KM', render: r => (r.perigee === null ? '—' : r.perigee.toFixed(0)) },
+        { key: 'date', label: 'PREDICTED', render: r => formatDate(r.date) },
+        { key: 'window', label: 'WINDOW', value: r => r.late - r.early, render: r => `${formatDate(r.early).substring(5)} → ${r.lateBeyond ? 'AFTER ' : ''}${formatDate(r.late).substring(5)}` },
+        { key: 'daysLeft', label: 'DAYS', render: r => (r.daysLeft < 0 ? 'PASSED' : r.daysLeft.toFixed(1)) },
+        { key: 'source', label: 'FROM' }
+    ];
+
+    return (
+        <div>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '8px', fontSize: '9px' }}>
+                <span style={{ color: '#888', flex: 1 }}>{decays ? rows.length : '…'} OBJECTS PREDICTED TO REENTER WITHIN</span>
+                <input
+                    className="field-input"
+                    type="number"
+                    min="1"
+                    max="3650"
+                    value={withinDays}
+                    onChange={(e) => {
+                        const days = parseInt(e.target.value, 10);
+                        if (!isNaN(days) && days > 0) onChangeWithinDays(Math.min(days, 3650));
+                    }}
+                    style={{ width: '56px' }}
+                />
+                <span style={{ color: '#888' }}>DAYS</span>
+                <button
+                    className="btn-interactive"
+                    disabled={!decays}
+                    onClick={() => onHighlight(`decay<${withinDays}d`)}
+                    style={{ background: '#222', border: '1px solid #333', color: '#fff', fontSize: '9px', borderRadius: '2px', fontFamily: 'Unbounded', padding: '3px 6px', opacity: decays ? 1 : 0.4 }}
+                >
+                    HIGHLIGHT 3D
+                </button>
+            </div>
+
+            {!decays && (
+                <div style={{ color: estimates.error ? '#ED1C2E' : '#888', fontSize: '9px', marginBottom: '6px' }}>
+                    {estimates.error
+                        ? `REENTRY ESTIMATES FAILED: ${estimates.error}`
+                        : `ESTIMATING REENTRY DATES… ${(estimates.progress * 100).toFixed(0)}%`}
+                </div>
+            )}
+
+            <div style={{ maxHeight: '320px', overflowY: 'auto' }}>
+                <SortableTable
+                    columns={columns}
+                    rows={rows}
+                    rowKey={r => r.id}
+                    onRowClick={r => onSelect(r.id)}
+                    isSelected={r => r.id === selectedSatId}
+                    defaultSort={{ key: 'date', dir: 1 }}
+                    emptyText={decays ? 'No objects predicted to reenter in this window' : 'Waiting for the reentry estimates'}
+                />
+            </div>
+
+            <div style={{ color: '#666', fontSize: '8px', marginTop: '6px', lineHeight: 1.5 }}>
+                DRAG DECAY IN AN EXPONENTIAL ATMOSPHERE, CALIBRATED ON EACH ELEMENT SET&apos;S MEAN MOTION DERIVATIVE (NDOT) OR BSTAR.
+                NO FURTHER MANEUVERS ASSUMED.
+            </div>
+        </div>
+    );
+};
+
+export default ReentryWatchPanel;
@@ -0,0 +1,33 @@
+import React from 'react';
+import { Check } from 'lucide-react';
+import { REGIMES } from '../services/orbitRegime';
+
+/**
+ * Per-regime visibility toggles with the number of catalog objects in each regime.
+ */
+const RegimeFilterControls = ({ filters, counts, onToggle }) => (
+    <div style={{ marginTop: '8px', borderTop: '1px solid #222', paddingTop: '6px', fontSize: '9px' }}>
+        <div style={{ color: '#666', marginBottom: '4px' }}>REGIME</div>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '4px 8px' }}>
+            {REGIMES.map(regime => (
+                <div
+                    key={regime}
+                    onClick={() => onToggle(regime)}
+                    style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}
+                >
+                    <div style={{
+                        width: '10px', height: '10px', border: '1px solid #333',
+                        background: filters[regime] ? '#888' : 'transparent',
+                        display: 'flex', alignItems: 'center', justifyContent: 'center'
+                    }}>
+                        {filters[regime] && <Check size={8} color="#fff" strokeWidth={4} />}
+                    </div>
+                    <span style={{ flex: 1 }}>{regime}</span>
+                    <span style={{ color: '#666' }}>{counts[regime] || 0}</span>
+                </div>
+            ))}
+        </div>
+    </div>
+);
+
+export default RegimeFilterControls;
@@ -13,13 +13,21 @@ const CAT_COLORS = {
     PAYLOAD: '#888',
     DEBRIS: '#333'
 };
+const PINNED_COLOR = '#FFD700';
 
-const Satellite = ({ tle1, tle2, name, category, isSelected, isVisible, onClick, orbitalPeriod, onUpdatePosition, navMode, isHovered }) => {
+const Satellite = ({ satrec, name, category, isSelected, isPinned, isVisible, onClick, orbitalPeriod, onUpdatePosition, navMode, isHovered }) => {
     const meshRef = useRef();
     const [hovered, setHovered] = useState(false);
+    // Start of the drawn orbit; moved whenever the clock leaves it (fast/reverse playback, jumps)
+    const [orbitStart, setOrbitStart] = useState(() => SIM_STATE.simTime);
 
     useFrame((state, delta) => {
-        const pv = propagateSatellite(tle1, tle2, new Date(SIM_STATE.simTime));
+        const simTime = SIM_STATE.simTime;
+        if ((isSelected || isPinned) && (simTime < orbitStart || simTime > orbitStart + orbitalPeriod * 60000)) {
+            setOrbitStart(simTime);
+        }
+
+        const pv = propagateSatellite(satrec, new Date(SIM_STATE.simTime));
         if (pv && meshRef.current) {
             const pos = pv.position;
             const x = pos.x * SCALE;
@@ -49,23 +57,23 @@ const Satellite = ({ tle1, tle2, name, category, isSelected, isVisible, onClick,
     });
 
     const orbitPoints = useMemo(() => {
-        if (!isSelected) return null;
+        if (!isSelected && !isPinned) return null;
         const path = [];
         const segments = 150;
         const step = orbitalPeriod / segments;
-        const now = new Date(SIM_STATE.simTime);
+        const now = new Date(orbitStart);
         for (let i = 0; i <= segments; i++) {
             const time = new Date(now.getTime() + i * step * 60000);
-            const pv = propagateSatellite(tle1, tle2, time);
+            const pv = propagateSatellite(satrec, time);
             if (pv) {
                 const pos = pv.position;
                 path.push([pos.x * SCALE, pos.z * SCALE, -pos.y * SCALE]);
             }
         }
         return path;
-    }, [tle1, tle2, isSelected, orbitalPeriod]);
+    }, [satrec, isSelected, isPinned, orbitalPeriod, orbitStart]);
 
-    const color = (isSelected || hovered || isHovered) ? '#ED1C2E' : (CAT_COLORS[category] || '#444');
+    const color = (isSelected || hovered || isHovered) ? '#ED1C2E' : (isPinned ? PINNED_COLOR : (CAT_COLORS[category] || '#444'));
 
     // Manage Tooltip Visibility Life-cycle
     const [showTooltip, setShowTooltip] = useState(false);
@@ -126,13 +134,13 @@ const Satellite = ({ tle1, tle2, name, category, isSelected, isVisible, onClick,
                 )}
             </mesh>
 
-            {isSelected && orbitPoints && (
+            {orbitPoints && (
                 <Line
                     points={orbitPoints}
-                    color="#ED1C2E"
-                    lineWidth={2}
+                    color={isSelected ? '#ED1C2E' : PINNED_COLOR}
+                    lineWidth={isSelected ? 2 : 1}
                     transparent={true}
-                    opacity={0.6}
+                    opacity={isSelected ? 0.6 : 0.4}
                     renderOrder={5}
                 />
             )}
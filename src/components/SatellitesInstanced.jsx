@@ -1,40 +1,67 @@
-import React, { useRef, useMemo, useEffect } from 'react';
+import React, { useRef, useMemo, useEffect, useState } from 'react';
 import { useFrame, useThree } from '@react-three/fiber';
 import { easing } from 'maath';
 import * as THREE from 'three';
-import * as satellite from 'satellite.js';
 import { EARTH_RADIUS } from '../services/propagation';
+import { createPropagationPool, POSITION_STRIDE } from '../services/propagationPool';
 import { SIM_STATE } from '../services/simulationState';
+import { isStale } from '../services/elementAge';
+import { sunPosition, eclipseState, ILLUMINATION } from '../services/sun';
+import { inGroups } from '../services/constellations';
 
 const SCALE = 1 / EARTH_RADIUS;
-const CAT_COLORS = {
-    STATION: new THREE.Color('#00aa00'),
-    PAYLOAD: new THREE.Color('#888'),
-    DEBRIS: new THREE.Color('#333')
-};
 
 // Global bounding sphere for the entire orbital shell
 // Ensures raycaster ALWAYS checks for satellites, preventing "sometimes works" behavior
 const ORBITAL_BOUNDS = new THREE.Sphere(new THREE.Vector3(0, 0, 0), 2.5);
 
+// Colour multiplier for objects with stale element sets in DIM mode
+const STALE_DIM = 0.3;
+// Element set ages only drift slowly, so the stale flags are re-evaluated on this interval
+const STALE_REFRESH = 10 * 60 * 1000;
+// Search matches are drawn in HIGHLIGHT_COLOR while everything else is dimmed
+const HIGHLIGHT_COLOR = new THREE.Color('#fff');
+const HIGHLIGHT_DIM = 0.15;
+// Colour multipliers for objects in Earth's shadow when shadow dimming is on
+const SHADOW_DIM = {
+    [ILLUMINATION.SUNLIT]: 1,
+    [ILLUMINATION.PENUMBRA]: 0.5,
+    [ILLUMINATION.UMBRA]: 0.2
+};
+
 const tempMatrix = new THREE.Matrix4();
-const tempObject = new THREE.Object3D();
+const tempPosition = new THREE.Vector3();
+const tempEci = { x: 0, y: 0, z: 0 };
 
-const SatGroup = ({ type, satellites, categoryFilters, selectedSatId, onClick, onHover, navMode }) => {
+const SatGroup = ({ type, satellites, offset, poolRef, categoryFilters, baseColors, staleFlags, staleMode, filteredOut, highlightFlags, dimShadow, selectedSatId, onClick, onHover }) => {
     const meshRef = useRef();
+    const colorRef = useRef();
+    const shadowApplied = useRef(false);
     const { camera } = useThree();
     const count = satellites.length;
 
     const colorArray = useMemo(() => {
-        const array = new Float32Array(count * 3);
-        const color = CAT_COLORS[type] || CAT_COLORS.PAYLOAD;
+        const array = baseColors.slice(offset * 3, (offset + count) * 3);
         for (let i = 0; i < count; i++) {
-            array[i * 3] = color.r;
-            array[i * 3 + 1] = color.g;
-            array[i * 3 + 2] = color.b;
+            let k = staleMode === 'DIM' && staleFlags[offset + i] ? STALE_DIM : 1;
+            if (highlightFlags) {
+                if (highlightFlags[offset + i]) {
+                    array[i * 3] = HIGHLIGHT_COLOR.r;
+                    array[i * 3 + 1] = HIGHLIGHT_COLOR.g;
+                    array[i * 3 + 2] = HIGHLIGHT_COLOR.b;
+                } else {
+                    k *= HIGHLIGHT_DIM;
+                }
+            }
+            array[i * 3] *= k;
+            array[i * 3 + 1] *= k;
+            array[i * 3 + 2] *= k;
         }
         return array;
-    }, [count, type]);
+    }, [count, offset, baseColors, staleFlags, staleMode, highlightFlags]);
+
+    // Copy handed to the GPU, so shadow dimming can be undone from colorArray
+    const displayColors = useMemo(() => colorArray.slice(), [colorArray]);
 
     useFrame((state, delta) => {
         if (!meshRef.current || count === 0) return;
@@ -48,42 +75,59 @@ const SatGroup = ({ type, satellites, categoryFilters, selectedSatId, onClick, o
         meshRef.current.visible = meshRef.current.material.opacity > 0.01;
         if (!meshRef.current.visible) return;
 
-        const date = new Date(SIM_STATE.simTime);
+        // Positions are propagated by the worker pool; this loop only copies them into instance matrices
+        const positions = poolRef.current?.positions;
+        if (!positions) return;
         const camPos = camera.position;
+        const hideStale = staleMode === 'HIDE';
+
+        // Instance colours start from the base (category/stale) colours; shadowed objects are scaled down
+        const colors = colorRef.current?.array;
+        const sun = dimShadow && colors ? sunPosition(SIM_STATE.simTime) : null;
+        if (!sun && shadowApplied.current && colors) {
+            colors.set(colorArray);
+            colorRef.current.needsUpdate = true;
+            shadowApplied.current = false;
+        }
 
         for (let i = 0; i < count; i++) {
-            const sat = satellites[i];
+            const o = (offset + i) * POSITION_STRIDE;
 
             // Hide the selected satellite in this group mesh (it's rendered individually)
-            if (sat.id === selectedSatId) {
+            if (satellites[i].id === selectedSatId || positions[o + 3] === 0 || filteredOut[offset + i] || (hideStale && staleFlags[offset + i])) {
                 tempMatrix.makeScale(0, 0, 0);
                 meshRef.current.setMatrixAt(i, tempMatrix);
                 continue;
             }
 
-            const pv = satellite.propagate(sat.satrec, date);
+            const x = positions[o] * SCALE;
+            const y = positions[o + 2] * SCALE;
+            const z = -positions[o + 1] * SCALE;
 
-            if (pv && pv.position) {
-                const pos = pv.position;
-                const x = pos.x * SCALE;
-                const y = pos.z * SCALE;
-                const z = -pos.y * SCALE;
+            tempPosition.set(x, y, z);
 
-                tempObject.position.set(x, y, z);
+            const dist = camPos.distanceTo(tempPosition);
+            const baseSize = 0.008;
+            const scale = Math.min(Math.max(dist * baseSize * 0.45, 0.001), 0.04) / baseSize;
 
-                const dist = camPos.distanceTo(tempObject.position);
-                const baseSize = 0.008;
-                const scaleFactor = Math.min(Math.max(dist * baseSize * 0.45, 0.001), 0.04);
+            tempMatrix.makeScale(scale, scale, scale).setPosition(x, y, z);
+            meshRef.current.setMatrixAt(i, tempMatrix);
 
-                tempObject.scale.setScalar(scaleFactor / baseSize);
-                tempObject.updateMatrix();
-                meshRef.current.setMatrixAt(i, tempObject.matrix);
-            } else {
-                tempMatrix.makeScale(0, 0, 0);
-                meshRef.current.setMatrixAt(i, tempMatrix);
+            if (sun) {
+                tempEci.x = positions[o];
+                tempEci.y = positions[o + 1];
+                tempEci.z = positions[o + 2];
+                const k = SHADOW_DIM[eclipseState(tempEci, sun)];
+                colors[i * 3] = colorArray[i * 3] * k;
+                colors[i * 3 + 1] = colorArray[i * 3 + 1] * k;
+                colors[i * 3 + 2] = colorArray[i * 3 + 2] * k;
             }
         }
         meshRef.current.instanceMatrix.needsUpdate = true;
+        if (sun) {
+            colorRef.current.needsUpdate = true;
+            shadowApplied.current = true;
+        }
     });
 
     // CRITICAL: Force raycaster to always check this mesh
@@ -129,7 +173,7 @@ const SatGroup = ({ type, satellites, categoryFilters, selectedSatId, onClick, o
         >
             {/* Larger hit area = more reliable clicks */}
             <sphereGeometry args={[0.008, 6, 6]}>
-                <instancedBufferAttribute attach="attributes-color" args={[colorArray, 3]} />
+                <instancedBufferAttribute ref={colorRef} attach="attributes-color" args={[displayColors, 3]} />
             </sphereGeometry>
             <meshBasicMaterial
                 vertexColors={true}
@@ -141,29 +185,106 @@ const SatGroup = ({ type, satellites, categoryFilters, selectedSatId, onClick, o
     );
 };
 
-const SatellitesInstanced = ({ satellites, selectedSatId, hoveredSatId, categoryFilters, onClick, onHover, navMode }) => {
-    // Memoize the split lists to prevent thrashing
-    const groups = useMemo(() => {
+const SatellitesInstanced = ({ satellites, selectedSatId, categoryFilters, staleFilter, regimeFilters, groupFilter, colorScale, highlightIds, dimShadow, onClick, onHover }) => {
+    const poolRef = useRef(null);
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), STALE_REFRESH);
+        return () => clearInterval(timer);
+    }, []);
+
+    // Memoize the split lists to prevent thrashing.
+    // Groups are laid out back to back so each one reads a contiguous range of the pool buffer.
+    const { groups, ordered } = useMemo(() => {
         const result = { STATION: [], PAYLOAD: [], DEBRIS: [] };
         satellites.forEach(sat => {
             if (result[sat.category]) result[sat.category].push(sat);
             else result.PAYLOAD.push(sat);
         });
-        return result;
+        let offset = 0;
+        const entries = Object.entries(result).map(([type, sats]) => {
+            const entry = { type, sats, offset };
+            offset += sats.length;
+            return entry;
+        });
+        return { groups: entries, ordered: entries.flatMap(g => g.sats) };
     }, [satellites]);
 
+    useEffect(() => {
+        const pool = createPropagationPool(ordered);
+        poolRef.current = pool;
+        return () => {
+            pool.dispose();
+            poolRef.current = null;
+        };
+    }, [ordered]);
+
+    // One flag per pool slot, so each group indexes it with its own offset
+    const staleFlags = useMemo(() => {
+        const flags = new Uint8Array(ordered.length);
+        ordered.forEach((sat, i) => {
+            flags[i] = isStale(sat, staleFilter.maxAgeDays, now) ? 1 : 0;
+        });
+        return flags;
+    }, [ordered, staleFilter.maxAgeDays, now]);
+
+    // Color-mode colors per pool slot; THREE.Color handles the sRGB hex to linear conversion
+    const baseColors = useMemo(() => {
+        const array = new Float32Array(ordered.length * 3);
+        const colors = new Map();
+        ordered.forEach((sat, i) => {
+            const hex = colorScale.colorOf(sat);
+            let color = colors.get(hex);
+            if (!color) {
+                color = new THREE.Color(hex);
+                colors.set(hex, color);
+            }
+            array[i * 3] = color.r;
+            array[i * 3 + 1] = color.g;
+            array[i * 3 + 2] = color.b;
+        });
+        return array;
+    }, [ordered, colorScale]);
+
+    // Objects hidden by the regime or constellation filters; unclassified objects pass the regime filter
+    const filteredOut = useMemo(
+        () => Uint8Array.from(ordered, sat => (
+            (sat.regime && regimeFilters[sat.regime] === false) || !inGroups(sat, groupFilter) ? 1 : 0
+        )),
+        [ordered, regimeFilters, groupFilter]
+    );
+
+    // Search highlight per pool slot, or null when nothing is highlighted
+    const highlightFlags = useMemo(() => {
+        if (!highlightIds) return null;
+        return Uint8Array.from(ordered, sat => (highlightIds.has(sat.id) ? 1 : 0));
+    }, [ordered, highlightIds]);
+
+    // Ask for the next sweep every frame; the pool skips requests while one is in flight
+    useFrame(() => {
+        if (poolRef.current) poolRef.current.request(SIM_STATE.simTime);
+    });
+
     return (
         <group>
-            {Object.entries(groups).map(([type, sats]) => (
+            {groups.map(({ type, sats, offset }) => (
                 <SatGroup
                     key={type}
                     type={type}
                     satellites={sats}
+                    offset={offset}
+                    poolRef={poolRef}
                     categoryFilters={categoryFilters}
+                    baseColors={baseColors}
+                    staleFlags={staleFlags}
+                    staleMode={staleFilter.mode}
+                    filteredOut={filteredOut}
+                    highlightFlags={highlightFlags}
+                    dimShadow={dimShadow}
                     selectedSatId={selectedSatId}
                     onClick={onClick}
                     onHover={onHover}
-                    navMode={navMode}
                 />
             ))}
         </group>
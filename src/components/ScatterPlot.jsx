@@ -0,0 +1,224 @@
+import React, { useState, useRef, useMemo, useEffect } from 'react';
+
+const WIDTH = 380;
+const HEIGHT = 150;
+const MARGIN = { top: 6, right: 6, bottom: 14, left: 44 };
+const PLOT_WIDTH = WIDTH - MARGIN.left - MARGIN.right;
+const PLOT_HEIGHT = HEIGHT - MARGIN.top - MARGIN.bottom;
+const MIN_BRUSH = 4; // px; smaller drags count as clicks
+const PICK_RADIUS = 5; // px
+const POINT_SIZE = 2;
+const DIM_COLOR = '#2a2a2a';
+
+const isValue = (v, log) => v !== undefined && v !== null && isFinite(v) && (!log || v > 0);
+
+/**
+ * Axis scale over [lo, hi] onto [0, size]; log axes map decades evenly. Returns the
+ * projection and three tick values.
+ */
+const makeScale = ([lo, hi], size, log, flip) => {
+    const f = log ? Math.log10 : (v) => v;
+    const a = f(lo);
+    const b = f(hi);
+    const project = (v) => {
+        const t = (f(v) - a) / (b - a || 1);
+        return flip ? size - t * size : t * size;
+    };
+    const ticks = [0, 0.5, 1].map(t => (log ? Math.pow(10, a + (b - a) * t) : lo + (hi - lo) * t));
+    return { project, ticks };
+};
+
+// Data extent along one axis with a little padding (multiplicative on log axes)
+const extent = (values, log) => {
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach(v => {
+        if (!isValue(v, log)) return;
+        if (v < min) min = v;
+        if (v > max) max = v;
+    });
+    if (min > max) return log ? [1, 10] : [0, 1];
+    if (log) return [min / 1.1, max * 1.1];
+    const pad = (max - min) * 0.04 || Math.abs(min) * 0.01 || 1;
+    return [min - pad, max + pad];
+};
+
+/**
+ * Scatter plot of many rows, drawn on a canvas so whole catalogs stay responsive.
+ * Each series plots one point per row; a row can appear in several series (e.g. apogee and
+ * perigee). Dragging a box reports the ids of rows with any point inside it, a click picks the
+ * nearest row and a click on empty space clears the brush.
+ * series: [{ key, label, color, x: row => number, y: row => number }]
+ * xAxis / yAxis: { format, log, domain }; domain defaults to the data extent
+ */
+const ScatterPlot = ({ title, rows, series, xAxis, yAxis, highlightIds, selectedId, onBrush, onPick }) => {
+    const canvasRef = useRef(null);
+    const [brush, setBrush] = useState(null); // { x0, y0, x1, y1 } in plot pixels
+    const [hovered, setHovered] = useState(null); // row
+
+    // Screen positions per series, NaN where the value cannot be plotted
+    const layout = useMemo(() => {
+        const xDomain = xAxis.domain || extent(series.flatMap(s => rows.map(s.x)), xAxis.log);
+        const yDomain = yAxis.domain || extent(series.flatMap(s => rows.map(s.y)), yAxis.log);
+        const xScale = makeScale(xDomain, PLOT_WIDTH, xAxis.log, false);
+        const yScale = makeScale(yDomain, PLOT_HEIGHT, yAxis.log, true);
+        const points = series.map(s => {
+            const array = new Float32Array(rows.length * 2);
+            rows.forEach((row, i) => {
+                const x = s.x(row);
+                const y = s.y(row);
+                const ok = isValue(x, xAxis.log) && isValue(y, yAxis.log);
+                array[i * 2] = ok ? xScale.project(x) : NaN;
+                array[i * 2 + 1] = ok ? yScale.project(y) : NaN;
+            });
+            return array;
+        });
+        return { xScale, yScale, points };
+    }, [rows, series, xAxis, yAxis]);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = WIDTH * ratio;
+        canvas.height = HEIGHT * ratio;
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, WIDTH, HEIGHT);
+
+        ctx.font = '7px Unbounded';
+        ctx.fillStyle = '#666';
+        ctx.textAlign = 'right';
+        layout.yScale.ticks.forEach(value => {
+            ctx.fillText(yAxis.format(value), MARGIN.left - 4, MARGIN.top + layout.yScale.project(value) + 3);
+        });
+        layout.xScale.ticks.forEach((value, i) => {
+            ctx.textAlign = ['left', 'center', 'right'][i];
+            ctx.fillText(xAxis.format(value), MARGIN.left + layout.xScale.project(value), HEIGHT - 3);
+        });
+
+        ctx.translate(MARGIN.left, MARGIN.top);
+        ctx.strokeStyle = '#222';
+        ctx.strokeRect(0.5, 0.5, PLOT_WIDTH - 1, PLOT_HEIGHT - 1);
+
+        // Dimmed points first so highlighted ones stay on top
+        const draw = (pick) => series.forEach((s, k) => {
+            const array = layout.points[k];
+            ctx.fillStyle = highlightIds && !pick ? DIM_COLOR : s.color;
+            rows.forEach((row, i) => {
+                if (isNaN(array[i * 2])) return;
+                if (highlightIds && highlightIds.has(row.id) !== pick) return;
+                ctx.fillRect(array[i * 2] - POINT_SIZE / 2, array[i * 2 + 1] - POINT_SIZE / 2, POINT_SIZE, POINT_SIZE);
+            });
+        });
+        ctx.globalAlpha = 0.6;
+        draw(false);
+        ctx.globalAlpha = 1;
+        if (highlightIds) draw(true);
+
+        const selectedIndex = rows.findIndex(r => r.id === selectedId);
+        if (selectedIndex >= 0) {
+            ctx.strokeStyle = '#ED1C2E';
+            layout.points.forEach(array => {
+                if (isNaN(array[selectedIndex * 2])) return;
+                ctx.beginPath();
+                ctx.arc(array[selectedIndex * 2], array[selectedIndex * 2 + 1], 4, 0, 2 * Math.PI);
+                ctx.stroke();
+            });
+        }
+    }, [layout, rows, series, xAxis, yAxis, highlightIds, selectedId]);
+
+    const plotPoint = (event) => {
+        const rect = canvasRef.current.getBoundingClientRect();
+        const x = ((event.clientX - rect.left) * WIDTH) / rect.width - MARGIN.left;
+        const y = ((event.clientY - rect.top) * HEIGHT) / rect.height - MARGIN.top;
+        return [Math.min(Math.max(x, 0), PLOT_WIDTH), Math.min(Math.max(y, 0), PLOT_HEIGHT)];
+    };
+
+    const nearestRow = ([x, y]) => {
+        let best = null;
+        let bestDistance = PICK_RADIUS;
+        layout.points.forEach(array => rows.forEach((row, i) => {
+            const distance = Math.hypot(array[i * 2] - x, array[i * 2 + 1] - y);
+            if (distance < bestDistance) {
+                best = row;
+                bestDistance = distance;
+            }
+        }));
+        return best;
+    };
+
+    const handleMove = (event) => {
+        const [x, y] = plotPoint(event);
+        if (brush) {
+            setBrush(prev => ({ ...prev, x1: x, y1: y }));
+            return;
+        }
+        const row = nearestRow([x, y]);
+        if (row !== hovered) setHovered(row);
+    };
+
+    const handleUp = (event) => {
+        if (!brush) return;
+        const [x, y] = plotPoint(event);
+        setBrush(null);
+        const left = Math.min(brush.x0, x);
+        const right = Math.max(brush.x0, x);
+        const top = Math.min(brush.y0, y);
+        const bottom = Math.max(brush.y0, y);
+        if (right - left < MIN_BRUSH && bottom - top < MIN_BRUSH) {
+            const row = nearestRow([x, y]);
+            if (row) onPick(row.id);
+            else onBrush(null);
+            return;
+        }
+        const ids = rows
+            .filter((row, i) => layout.points.some(array => (
+                array[i * 2] >= left && array[i * 2] <= right && array[i * 2 + 1] >= top && array[i * 2 + 1] <= bottom
+            )))
+            .map(row => row.id);
+        onBrush(ids);
+    };
+
+    const box = brush && {
+        left: `${((MARGIN.left + Math.min(brush.x0, brush.x1)) / WIDTH) * 100}%`,
+        top: `${((MARGIN.top + Math.min(brush.y0, brush.y1)) / HEIGHT) * 100}%`,
+        width: `${(Math.abs(brush.x1 - brush.x0) / WIDTH) * 100}%`,
+        height: `${(Math.abs(brush.y1 - brush.y0) / HEIGHT) * 100}%`
+    };
+
+    return (
+        <div style={{ marginBottom: '8px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', gap: '6px', fontSize: '9px', marginBottom: '2px' }}>
+                <span style={{ color: '#666' }}>{title}</span>
+                <span style={{ display: 'flex', gap: '8px' }}>
+                    {hovered ? (
+                        <span style={{ color: '#fff' }}>
+                            {hovered.name} · {xAxis.format(series[0].x(hovered))} · {series.map(s => yAxis.format(s.y(hovered))).join(' / ')}
+                        </span>
+                    ) : series.length > 1 && series.map(s => (
+                        <span key={s.key} style={{ color: s.color }}>{s.label}</span>
+                    ))}
+                </span>
+            </div>
+
+            <div style={{ position: 'relative' }}>
+                <canvas
+                    ref={canvasRef}
+                    style={{ width: '100%', aspectRatio: `${WIDTH} / ${HEIGHT}`, display: 'block', cursor: 'crosshair', userSelect: 'none' }}
+                    onMouseDown={(e) => {
+                        const [x, y] = plotPoint(e);
+                        setBrush({ x0: x, y0: y, x1: x, y1: y });
+                    }}
+                    onMouseMove={handleMove}
+                    onMouseUp={handleUp}
+                    onMouseLeave={() => { setBrush(null); setHovered(null); }}
+                />
+                {box && (
+                    <div style={{ position: 'absolute', ...box, background: 'rgba(237, 28, 46, 0.15)', border: '1px solid #ED1C2E', pointerEvents: 'none' }} />
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ScatterPlot;
@@ -0,0 +1,68 @@
+import React, { useState, useMemo } from 'react';
+
+/**
+ * Compact table with click-to-sort headers.
+ * columns: [{ key, label, value?: row => sortable, render?: row => node }]
+ */
+const SortableTable = ({ columns, rows, rowKey, onRowClick, isSelected, defaultSort, emptyText = 'No results' }) => {
+    const [sort, setSort] = useState(defaultSort || { key: columns[0].key, dir: 1 });
+
+    const sortedRows = useMemo(() => {
+        const column = columns.find(c => c.key === sort.key);
+        if (!column) return rows;
+        const valueOf = column.value || (row => row[column.key]);
+        return [...rows].sort((a, b) => {
+            const va = valueOf(a);
+            const vb = valueOf(b);
+            if (va === vb) return 0;
+            if (va === null || va === undefined) return 1;
+            if (vb === null || vb === undefined) return -1;
+            return (va < vb ? -1 : 1) * sort.dir;
+        });
+    }, [rows, columns, sort]);
+
+    const toggleSort = (key) => {
+        setSort(prev => (prev.key === key ? { key, dir: -prev.dir } : { key, dir: 1 }));
+    };
+
+    if (rows.length === 0) {
+        return (
+            <div style={{ padding: '8px', color: '#666', fontSize: '10px', textAlign: 'center', fontStyle: 'italic' }}>
+                {emptyText}
+            </div>
+        );
+    }
+
+    return (
+        <table className="data-table">
+            <thead>
+                <tr>
+                    {columns.map(col => (
+                        <th
+                            key={col.key}
+                            className={sort.key === col.key ? 'sorted' : ''}
+                            onClick={() => toggleSort(col.key)}
+                        >
+                            {col.label}{sort.key === col.key ? (sort.dir > 0 ? ' ▲' : ' ▼') : ''}
+                        </th>
+                    ))}
+                </tr>
+            </thead>
+            <tbody>
+                {sortedRows.map(row => (
+                    <tr
+                        key={rowKey(row)}
+                        className={isSelected && isSelected(row) ? 'selected' : ''}
+                        onClick={() => onRowClick && onRowClick(row)}
+                    >
+                        {columns.map(col => (
+                            <td key={col.key}>{col.render ? col.render(row) : row[col.key]}</td>
+                        ))}
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    );
+};
+
+export default SortableTable;
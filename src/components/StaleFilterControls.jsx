@@ -0,0 +1,44 @@
+import React from 'react';
+
+const MODES = ['SHOW', 'DIM', 'HIDE'];
+
+/**
+ * Threshold and treatment for objects whose element set epoch is older than `maxAgeDays`.
+ */
+const StaleFilterControls = ({ settings, onChange }) => {
+    const updateAge = (value) => {
+        const num = parseFloat(value);
+        if (isNaN(num) || num <= 0) return;
+        onChange({ ...settings, maxAgeDays: num });
+    };
+
+    return (
+        <div style={{ marginTop: '8px', display: 'flex', alignItems: 'center', gap: '6px', fontSize: '9px' }}>
+            <span style={{ color: '#666', whiteSpace: 'nowrap' }}>STALE &gt;</span>
+            <input
+                className="field-input"
+                type="number"
+                min="0.5"
+                step="0.5"
+                value={settings.maxAgeDays}
+                onChange={(e) => updateAge(e.target.value)}
+                style={{ width: '44px' }}
+            />
+            <span style={{ color: '#666' }}>D</span>
+            <div style={{ display: 'flex', gap: '2px', flex: 1 }}>
+                {MODES.map(mode => (
+                    <button
+                        key={mode}
+                        className={`btn ${settings.mode === mode ? 'active' : ''} btn-interactive`}
+                        onClick={() => onChange({ ...settings, mode })}
+                        style={{ flex: 1, padding: '3px', fontSize: '8px', borderRadius: '2px' }}
+                    >
+                        {mode}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default StaleFilterControls;
@@ -0,0 +1,170 @@
+import React, { useState, useRef } from 'react';
+
+const WIDTH = 380;
+const HEIGHT = 84;
+const MARGIN = { top: 6, right: 6, bottom: 14, left: 56 };
+const PLOT_WIDTH = WIDTH - MARGIN.left - MARGIN.right;
+const PLOT_HEIGHT = HEIGHT - MARGIN.top - MARGIN.bottom;
+const MIN_BRUSH = 4; // px; shorter drags count as clicks
+const MAX_MARKERS = 80; // points are marked individually below this count
+
+const formatDate = (time) => new Date(time).toISOString().substring(5, 16).replace('T', ' ');
+
+const isValue = (v) => v !== undefined && v !== null && !isNaN(v);
+
+/**
+ * Line chart of one or more row fields against epoch, drawn in SVG.
+ * Dragging across the plot zooms to that span, a click picks the nearest row, and the
+ * hovered epoch is shared through props so stacked charts show one crosshair.
+ * lines: [{ key, label, color }]; formatTime labels the time axis (month, day and time by default)
+ */
+const TimeSeriesChart = ({ title, rows, lines, format, formatTime = formatDate, domain, hoverEpoch, onHover, onZoom, onSelect }) => {
+    const svgRef = useRef(null);
+    const [brush, setBrush] = useState(null); // { from, to } in plot pixels
+
+    const [t0, t1] = domain;
+    const span = t1 - t0 || 1;
+    const visible = rows.filter(r => r.epoch >= t0 && r.epoch <= t1);
+
+    let min = Infinity;
+    let max = -Infinity;
+    visible.forEach(r => lines.forEach(({ key }) => {
+        if (!isValue(r[key])) return;
+        if (r[key] < min) min = r[key];
+        if (r[key] > max) max = r[key];
+    }));
+    if (min > max) [min, max] = [0, 1];
+    if (min === max) {
+        const pad = Math.abs(min) * 0.01 || 1e-9;
+        min -= pad;
+        max += pad;
+    }
+    const padding = (max - min) * 0.08;
+    const yLo = min - padding;
+    const yHi = max + padding;
+
+    const xOf = (time) => ((time - t0) / span) * PLOT_WIDTH;
+    const yOf = (value) => PLOT_HEIGHT - ((value - yLo) / (yHi - yLo)) * PLOT_HEIGHT;
+    const timeOf = (x) => t0 + (x / PLOT_WIDTH) * span;
+
+    const plotX = (event) => {
+        const rect = svgRef.current.getBoundingClientRect();
+        const x = ((event.clientX - rect.left) * WIDTH) / rect.width - MARGIN.left;
+        return Math.min(Math.max(x, 0), PLOT_WIDTH);
+    };
+
+    const nearestRow = (time) => visible.reduce(
+        (best, r) => (!best || Math.abs(r.epoch - time) < Math.abs(best.epoch - time) ? r : best),
+        null
+    );
+
+    const handleMove = (event) => {
+        const x = plotX(event);
+        if (brush) setBrush(prev => ({ ...prev, to: x }));
+        const row = nearestRow(timeOf(x));
+        onHover(row ? row.epoch : null);
+    };
+
+    const handleUp = (event) => {
+        if (!brush) return;
+        const x = plotX(event);
+        setBrush(null);
+        if (Math.abs(x - brush.from) >= MIN_BRUSH) {
+            onZoom([timeOf(Math.min(x, brush.from)), timeOf(Math.max(x, brush.from))]);
+        } else {
+            const row = nearestRow(timeOf(x));
+            if (row) onSelect(row.epoch);
+        }
+    };
+
+    const hovered = hoverEpoch !== null ? visible.find(r => r.epoch === hoverEpoch) : null;
+    const readout = hovered || visible[visible.length - 1];
+
+    return (
+        <div style={{ marginBottom: '6px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', gap: '6px', fontSize: '9px', marginBottom: '2px' }}>
+                <span style={{ color: '#666' }}>{title}</span>
+                <span style={{ display: 'flex', gap: '8px' }}>
+                    {readout && lines.map(({ key, label, color }) => (
+                        <span key={key} style={{ color }}>
+                            {lines.length > 1 ? `${label} ` : ''}{isValue(readout[key]) ? format(readout[key]) : '—'}
+                        </span>
+                    ))}
+                </span>
+            </div>
+
+            <svg
+                ref={svgRef}
+                viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+                style={{ width: '100%', display: 'block', cursor: 'crosshair', userSelect: 'none' }}
+                onMouseDown={(e) => setBrush({ from: plotX(e), to: plotX(e) })}
+                onMouseMove={handleMove}
+                onMouseUp={handleUp}
+                onMouseLeave={() => { setBrush(null); onHover(null); }}
+            >
+                <g transform={`translate(${MARGIN.left},${MARGIN.top})`}>
+                    <rect width={PLOT_WIDTH} height={PLOT_HEIGHT} fill="none" stroke="#222" />
+                    {[yHi - padding, (yLo + yHi) / 2, yLo + padding].map((value, i) => (
+                        <g key={i}>
+                            <line x1={0} x2={PLOT_WIDTH} y1={yOf(value)} y2={yOf(value)} stroke="#1a1a1a" />
+                            <text x={-4} y={yOf(value) + 3} textAnchor="end" fill="#666" fontSize="7" fontFamily="Unbounded">
+                                {format(value)}
+                            </text>
+                        </g>
+                    ))}
+                    {[t0, t0 + span / 2, t1].map((time, i) => (
+                        <text
+                            key={i}
+                            x={xOf(time)}
+                            y={PLOT_HEIGHT + 10}
+                            textAnchor={['start', 'middle', 'end'][i]}
+                            fill="#666"
+                            fontSize="7"
+                            fontFamily="Unbounded"
+                        >
+                            {formatTime(time)}
+                        </text>
+                    ))}
+
+                    {lines.map(({ key, color }) => {
+                        const points = visible.filter(r => isValue(r[key]));
+                        return (
+                            <g key={key}>
+                                <polyline
+                                    points={points.map(r => `${xOf(r.epoch)},${yOf(r[key])}`).join(' ')}
+                                    fill="none"
+                                    stroke={color}
+                                    strokeWidth="1"
+                                />
+                                {points.length <= MAX_MARKERS && points.map(r => (
+                                    <circle key={r.epoch} cx={xOf(r.epoch)} cy={yOf(r[key])} r="1.5" fill={color} />
+                                ))}
+                            </g>
+                        );
+                    })}
+
+                    {hovered && (
+                        <g>
+                            <line x1={xOf(hovered.epoch)} x2={xOf(hovered.epoch)} y1={0} y2={PLOT_HEIGHT} stroke="#888" strokeDasharray="2,2" />
+                            {lines.map(({ key, color }) => isValue(hovered[key]) && (
+                                <circle key={key} cx={xOf(hovered.epoch)} cy={yOf(hovered[key])} r="3" fill="none" stroke={color} />
+                            ))}
+                        </g>
+                    )}
+
+                    {brush && Math.abs(brush.to - brush.from) >= MIN_BRUSH && (
+                        <rect
+                            x={Math.min(brush.from, brush.to)}
+                            width={Math.abs(brush.to - brush.from)}
+                            height={PLOT_HEIGHT}
+                            fill="rgba(237, 28, 46, 0.15)"
+                            stroke="#ED1C2E"
+                        />
+                    )}
+                </g>
+            </svg>
+        </div>
+    );
+};
+
+export default TimeSeriesChart;
@@ -0,0 +1,125 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { propagateSatellite, eciToEcef, ecefToGeodetic, getOrbitalPeriod, radToDeg } from '../services/propagation';
+import { SIM_STATE } from '../services/simulationState';
+import { catalogNumber } from '../services/tle';
+import { epochAgeDays, formatAge } from '../services/elementAge';
+import { downloadText } from '../services/download';
+import SortableTable from './SortableTable';
+
+const REFRESH_INTERVAL = 1000; // ms between live value updates
+
+const formatNumber = (digits) => (value) => (value === null ? '—' : value.toFixed(digits));
+
+const liveState = (sat, time) => {
+    const date = new Date(time);
+    const pv = propagateSatellite(sat.satrec, date);
+    if (!pv || !pv.velocity) return { alt: null, velocity: null };
+    const geo = ecefToGeodetic(eciToEcef(pv.position, date));
+    const { x, y, z } = pv.velocity;
+    return { alt: geo.height, velocity: Math.sqrt(x * x + y * y + z * z) };
+};
+
+/**
+ * Pinned satellites with live altitude, velocity, period, inclination and epoch age.
+ */
+const WatchlistPanel = ({ satellites, ids, selectedSatId, onSelect, onTogglePin, onRemove, onClear }) => {
+    const [simTime, setSimTimeView] = useState(() => SIM_STATE.simTime);
+
+    useEffect(() => {
+        const interval = setInterval(() => setSimTimeView(SIM_STATE.simTime), REFRESH_INTERVAL);
+        return () => clearInterval(interval);
+    }, []);
+
+    const byId = useMemo(() => new Map(satellites.map(s => [s.id, s])), [satellites]);
+
+    const rows = useMemo(() => ids.map(id => {
+        const sat = byId.get(id);
+        if (!sat) {
+            return { id, name: 'NOT IN CATALOG', alt: null, velocity: null, period: null, inclination: null, epochAge: null };
+        }
+        return {
+            id,
+            name: sat.name,
+            ...liveState(sat, simTime),
+            period: getOrbitalPeriod(sat.satrec),
+            inclination: radToDeg(sat.satrec.inclo),
+            epochAge: epochAgeDays(sat)
+        };
+    }), [ids, byId, simTime]);
+
+    const columns = [
+        { key: 'name', label: 'NAME' },
+        { key: 'alt', label: 'ALT KM', render: r => formatNumber(1)(r.alt) },
+        { key: 'velocity', label: 'VEL KM/S', render: r => formatNumber(3)(r.velocity) },
+        { key: 'period', label: 'PER MIN', render: r => formatNumber(1)(r.period) },
+        { key: 'inclination', label: 'INC °', render: r => formatNumber(2)(r.inclination) },
+        { key: 'epochAge', label: 'EPOCH AGE', render: r => (r.epochAge === null ? '—' : formatAge(r.epochAge)) },
+        {
+            key: 'remove',
+            label: '',
+            value: () => 0,
+            render: r => (
+                <button
+                    className="btn btn-interactive"
+                    onClick={(e) => { e.stopPropagation(); onRemove(r.id); }}
+                    title="UNPIN"
+                    style={{ padding: '1px 5px', fontSize: '8px', borderRadius: '2px' }}
+                >
+                    ✕
+                </button>
+            )
+        }
+    ];
+
+    const exportIds = () => {
+        const lines = ids.map(id => (byId.has(id) ? catalogNumber(byId.get(id)) : id));
+        downloadText('watchlist.txt', `${lines.join('\n')}\n`);
+    };
+
+    const selectedPinned = selectedSatId && ids.includes(selectedSatId);
+
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', fontSize: '10px' }}>
+            <div style={{ display: 'flex', gap: '4px' }}>
+                <button
+                    className="btn btn-interactive"
+                    disabled={!selectedSatId}
+                    onClick={() => onTogglePin(selectedSatId)}
+                    style={{ flex: 1, padding: '4px', fontSize: '9px', borderRadius: '2px', color: selectedSatId ? '#fff' : '#666' }}
+                >
+                    {selectedPinned ? 'UNPIN SELECTED' : 'PIN SELECTED'}
+                </button>
+                <button
+                    className="btn btn-interactive"
+                    disabled={ids.length === 0}
+                    onClick={exportIds}
+                    style={{ flex: 1, padding: '4px', fontSize: '9px', borderRadius: '2px' }}
+                >
+                    EXPORT IDS
+                </button>
+                <button
+                    className="btn btn-interactive"
+                    disabled={ids.length === 0}
+                    onClick={onClear}
+                    style={{ padding: '4px 8px', fontSize: '9px', borderRadius: '2px' }}
+                >
+                    CLEAR
+                </button>
+            </div>
+
+            <div className="field-label">{ids.length} PINNED</div>
+            <div style={{ maxHeight: '50vh', overflow: 'auto' }}>
+                <SortableTable
+                    columns={columns}
+                    rows={rows}
+                    rowKey={r => r.id}
+                    isSelected={r => r.id === selectedSatId}
+                    onRowClick={r => byId.has(r.id) && onSelect(r.id)}
+                    emptyText="Pin satellites to compare them"
+                />
+            </div>
+        </div>
+    );
+};
+
+export default WatchlistPanel;
@@ -0,0 +1,64 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { toElementPayload } from '../services/propagation';
+
+/**
+ * Runs conjunction screening in a dedicated worker so the render loop keeps going
+ * while the catalog is being swept.
+ */
+export const useConjunctionScreening = () => {
+    const [events, setEvents] = useState([]);
+    const [progress, setProgress] = useState(0);
+    const [running, setRunning] = useState(false);
+    const [error, setError] = useState(null);
+    const workerRef = useRef(null);
+
+    const cancel = useCallback(() => {
+        if (workerRef.current) {
+            workerRef.current.terminate();
+            workerRef.current = null;
+        }
+        setRunning(false);
+    }, []);
+
+    const run = useCallback((satellites, options) => {
+        cancel();
+        setEvents([]);
+        setProgress(0);
+        setError(null);
+        setRunning(true);
+
+        const worker = new Worker(new URL('../workers/conjunction.worker.js', import.meta.url), { type: 'module' });
+        workerRef.current = worker;
+
+        worker.onmessage = (e) => {
+            const { type } = e.data;
+            if (type === 'progress') {
+                setProgress(e.data.progress);
+            } else if (type === 'result') {
+                console.log(`[CONJUNCTION] Screening complete: ${e.data.events.length} events`);
+                setEvents(e.data.events);
+                setProgress(1);
+                cancel();
+            } else if (type === 'error') {
+                setError(e.data.message);
+                cancel();
+            }
+        };
+
+        worker.onerror = (e) => {
+            console.error('[CONJUNCTION] Worker error:', e.message);
+            setError(e.message || 'Screening failed');
+            cancel();
+        };
+
+        worker.postMessage({
+            satellites: satellites.map(sat => ({ id: sat.id, name: sat.name, ...toElementPayload(sat) })),
+            options
+        });
+    }, [cancel]);
+
+    // Stop any running sweep when the consumer unmounts
+    useEffect(() => cancel, [cancel]);
+
+    return { events, progress, running, error, run, cancel };
+};
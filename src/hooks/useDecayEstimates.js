@@ -0,0 +1,53 @@
+import { useState, useEffect } from 'react';
+import { toElementPayload } from '../services/propagation';
+import { hasDecaySignal } from '../services/lifetime';
+
+/**
+ * Reentry estimates for the whole catalog, integrated in a dedicated worker whenever the
+ * satellite list changes. Only objects that pass the cheap perigee/drag check are sent.
+ * `decays` maps satellite id to estimateDecay's result and is null until the worker is done.
+ */
+export const useDecayEstimates = (satellites) => {
+    const [state, setState] = useState({ satellites: null, decays: null, progress: 0, error: null });
+
+    useEffect(() => {
+        if (satellites.length === 0) return undefined;
+
+        const candidates = satellites.filter(sat => hasDecaySignal(sat.satrec));
+        const worker = new Worker(new URL('../workers/decay.worker.js', import.meta.url), { type: 'module' });
+
+        worker.onmessage = (e) => {
+            const { type } = e.data;
+            if (type === 'progress') {
+                setState({ satellites, decays: null, progress: e.data.progress, error: null });
+            } else if (type === 'result') {
+                console.log(`[LIFETIME] Estimated ${e.data.decays.length} of ${candidates.length} low objects`);
+                setState({ satellites, decays: new Map(e.data.decays), progress: 1, error: null });
+                worker.terminate();
+            } else if (type === 'error') {
+                setState({ satellites, decays: null, progress: 0, error: e.data.message });
+                worker.terminate();
+            }
+        };
+
+        worker.onerror = (e) => {
+            console.error('[LIFETIME] Worker error:', e.message);
+            setState({ satellites, decays: null, progress: 0, error: e.message || 'Estimation failed' });
+            worker.terminate();
+        };
+
+        worker.postMessage({
+            satellites: candidates.map(sat => ({ id: sat.id, ...toElementPayload(sat) }))
+        });
+
+        return () => worker.terminate();
+    }, [satellites]);
+
+    // Results for an older list are dropped as soon as a new one arrives
+    const current = state.satellites === satellites;
+    return {
+        decays: current ? state.decays : null,
+        progress: current ? state.progress : 0,
+        error: current ? state.error : null
+    };
+};
@@ -0,0 +1,24 @@
+import { useState, useEffect } from 'react';
+import { SIM_STATE } from '../services/simulationState';
+import { closestElementSet } from '../services/elementHistory';
+
+const CHECK_INTERVAL = 250; // ms between sim-clock checks
+
+/**
+ * Tracks which historical element set is closest to the simulation time.
+ * Returns -1 until the first check, or when there are no sets to replay.
+ */
+export const useElementReplay = (sets) => {
+    const [active, setActive] = useState({ sets: null, index: -1 });
+
+    useEffect(() => {
+        if (!sets || sets.length === 0) return;
+        const interval = setInterval(() => {
+            const index = closestElementSet(sets, SIM_STATE.simTime);
+            setActive(prev => (prev.sets === sets && prev.index === index ? prev : { sets, index }));
+        }, CHECK_INTERVAL);
+        return () => clearInterval(interval);
+    }, [sets]);
+
+    return active.sets === sets ? active.index : -1;
+};
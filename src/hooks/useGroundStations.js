@@ -0,0 +1,47 @@
+import { useState, useEffect } from 'react';
+
+const STORAGE_KEY = 'st-model-ground-stations';
+
+const loadSites = () => {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        const parsed = raw ? JSON.parse(raw) : [];
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+        console.warn('[STATIONS] Failed to read saved sites:', e);
+        return [];
+    }
+};
+
+/**
+ * Observer sites persisted in localStorage.
+ * Each site is { id, name, latitude, longitude, altitude } in degrees, degrees and metres.
+ */
+export const useGroundStations = () => {
+    const [sites, setSites] = useState(loadSites);
+    const [activeSiteId, setActiveSiteId] = useState(() => sites[0]?.id || null);
+
+    useEffect(() => {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(sites));
+        } catch (e) {
+            console.warn('[STATIONS] Failed to save sites:', e);
+        }
+    }, [sites]);
+
+    const addSite = (site) => {
+        const id = `site-${Date.now()}`;
+        setSites(prev => [...prev, { ...site, id }]);
+        setActiveSiteId(id);
+    };
+
+    const removeSite = (id) => {
+        const remaining = sites.filter(s => s.id !== id);
+        setSites(remaining);
+        if (activeSiteId === id) setActiveSiteId(remaining[0]?.id || null);
+    };
+
+    const activeSite = sites.find(s => s.id === activeSiteId) || null;
+
+    return { sites, activeSite, setActiveSiteId, addSite, removeSite };
+};
@@ -1,9 +1,37 @@
 import { useState, useEffect } from 'react';
-import * as satellite from 'satellite.js';
+import { buildSatrec } from '../services/propagation';
+import { tleMetadata, catalogNumber } from '../services/tle';
+import { classifyRegime } from '../services/orbitRegime';
 
-const CACHE_KEY = 'st-model-sat-data-v7';
+const CACHE_KEY = 'st-model-sat-data-v9';
 const CACHE_EXPIRY = 24 * 60 * 60 * 1000; // 24 hours
 
+// OMM records are cached as value arrays in this key order to stay within the localStorage quota
+const OMM_CACHE_FIELDS = [
+    'OBJECT_NAME', 'OBJECT_ID', 'EPOCH', 'MEAN_MOTION', 'ECCENTRICITY', 'INCLINATION',
+    'RA_OF_ASC_NODE', 'ARG_OF_PERICENTER', 'MEAN_ANOMALY', 'EPHEMERIS_TYPE', 'CLASSIFICATION_TYPE',
+    'NORAD_CAT_ID', 'ELEMENT_SET_NO', 'REV_AT_EPOCH', 'BSTAR', 'MEAN_MOTION_DOT', 'MEAN_MOTION_DDOT'
+];
+
+const packOmm = (omm) => OMM_CACHE_FIELDS.map(key => omm[key]);
+
+const unpackOmm = (values) => Object.fromEntries(OMM_CACHE_FIELDS.map((key, i) => [key, values[i]]));
+
+/**
+ * Turns an API or cache record into a live satellite: legacy array/TLE-only records
+ * gain the OMM-style metadata, ids are normalized to plain catalog numbers (older caches
+ * kept Alpha-5 column text), and the satrec is built from whichever elements it has.
+ */
+const hydrate = (s) => {
+    const sat = Array.isArray(s) ? { name: s[0], tle1: s[1], tle2: s[2], category: s[3], id: s[4] } : { ...s };
+    if (Array.isArray(sat.omm)) sat.omm = unpackOmm(sat.omm);
+    const metadata = sat.tle1 && !sat.objectId ? tleMetadata(sat.tle1, sat.tle2) : {};
+    const satrec = buildSatrec(sat);
+    // Older records carry a single `group`
+    const groups = sat.groups || (sat.group ? [sat.group] : []);
+    return { ...metadata, ...sat, id: catalogNumber(sat) || sat.id, groups, satrec, regime: classifyRegime(satrec) };
+};
+
 export const useSatelliteData = () => {
     const [satellites, setSatellites] = useState([]);
     const [loading, setLoading] = useState(true);
@@ -13,7 +41,7 @@ export const useSatelliteData = () => {
     useEffect(() => {
         const fetchAll = async () => {
             try {
-                const CACHE_KEYS = [CACHE_KEY, 'st-model-sat-data-v6', 'st-model-sat-data-v5'];
+                const CACHE_KEYS = [CACHE_KEY, 'st-model-sat-data-v8', 'st-model-sat-data-v7', 'st-model-sat-data-v6', 'st-model-sat-data-v5'];
                 let cachedData = null;
                 let cacheTimestamp = null;
                 let usedKey = null;
@@ -46,10 +74,7 @@ export const useSatelliteData = () => {
                 // If valid localStorage cache exists, use it immediately
                 if (cachedData && cacheTimestamp) {
                     console.log(`[SYNC] Using local cached data (${cachedData.length} satellites, age: ${Math.round((Date.now() - cacheTimestamp) / 3600000)}h)`);
-                    const restored = cachedData.map(s => {
-                        const sat = Array.isArray(s) ? { name: s[0], tle1: s[1], tle2: s[2], category: s[3], id: s[4] } : s;
-                        return { ...sat, satrec: satellite.twoline2satrec(sat.tle1, sat.tle2) };
-                    });
+                    const restored = cachedData.map(hydrate);
                     setSatellites(restored);
                     setStatus('SYSTEM: ACTIVE (CACHED)');
                     setLoading(false);
@@ -79,18 +104,19 @@ export const useSatelliteData = () => {
                         const satelliteData = result.satellites;
                         console.log(`[SYNC] Received ${satelliteData.length} satellites from API (${result.cached ? 'server-cached' : 'fresh'})`);
 
-                        // Add satrec to each satellite
+                        // Add satrec to each satellite (from OMM elements when the record carries them)
                         const processedSatellites = satelliteData.map(sat => ({
-                            ...sat,
-                            isVisible: true,
-                            satrec: satellite.twoline2satrec(sat.tle1, sat.tle2)
+                            ...hydrate(sat),
+                            isVisible: true
                         }));
 
                         setSatellites(processedSatellites);
 
                         // Save to localStorage
                         try {
-                            const cachePayload = satelliteData.map(({ satrec, ...rest }) => rest);
+                            const cachePayload = satelliteData.map(({ satrec, omm, ...rest }) => (
+                                omm ? { ...rest, omm: packOmm(omm) } : rest
+                            ));
                             localStorage.setItem(CACHE_KEY, JSON.stringify({
                                 data: cachePayload,
                                 timestamp: Date.now()
@@ -112,10 +138,7 @@ export const useSatelliteData = () => {
                     // Fallback to stale localStorage cache if available
                     if (cachedData) {
                         console.warn('[SYNC] Using stale local cache as fallback');
-                        const restored = cachedData.map(s => {
-                            const sat = Array.isArray(s) ? { name: s[0], tle1: s[1], tle2: s[2], category: s[3], id: s[4] } : s;
-                            return { ...sat, satrec: satellite.twoline2satrec(sat.tle1, sat.tle2) };
-                        });
+                        const restored = cachedData.map(hydrate);
                         setSatellites(restored);
                         setStatus('SYSTEM: OFFLINE (CACHED)');
                         setLoading(false);
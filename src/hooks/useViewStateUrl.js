@@ -0,0 +1,57 @@
+import { useEffect, useRef } from 'react';
+import { encodeViewState, decodeViewState } from '../services/viewState';
+
+const URL_SYNC_INTERVAL = 2000; // ms between URL refreshes for the clock and camera
+
+const buildUrl = (state) => `${window.location.pathname}?${encodeViewState(state)}${window.location.hash}`;
+
+/**
+ * Keeps the view state in the page URL.
+ * The link is restored through `apply` once `ready` turns true, selection changes push a
+ * history entry (so back/forward step through selections), everything else replaces it.
+ */
+export const useViewStateUrl = ({ ready, state, apply }) => {
+    const restored = useRef(false);
+    const stateRef = useRef(state);
+    const applyRef = useRef(apply);
+
+    useEffect(() => {
+        stateRef.current = state;
+        applyRef.current = apply;
+    });
+
+    const { selectedSatId, speed, paused, categoryFilters, regimeFilters, groupFilter, search } = state;
+
+    // Declared before the restore effect so it can't overwrite the link with pre-restore state
+    useEffect(() => {
+        if (!restored.current) return;
+        const url = buildUrl({ selectedSatId, speed, paused, categoryFilters, regimeFilters, groupFilter, search });
+        if (decodeViewState(window.location.search).selectedSatId !== selectedSatId) {
+            window.history.pushState(null, '', url);
+        } else {
+            window.history.replaceState(null, '', url);
+        }
+    }, [selectedSatId, speed, paused, categoryFilters, regimeFilters, groupFilter, search]);
+
+    useEffect(() => {
+        if (!ready || restored.current) return;
+        restored.current = true;
+        applyRef.current(decodeViewState(window.location.search));
+    }, [ready]);
+
+    useEffect(() => {
+        const handlePopState = () => {
+            if (restored.current) applyRef.current(decodeViewState(window.location.search));
+        };
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, []);
+
+    // The clock and camera move continuously, so they are refreshed on a timer
+    useEffect(() => {
+        const interval = setInterval(() => {
+            if (restored.current) window.history.replaceState(null, '', buildUrl(stateRef.current));
+        }, URL_SYNC_INTERVAL);
+        return () => clearInterval(interval);
+    }, []);
+};
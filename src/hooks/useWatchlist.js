@@ -0,0 +1,41 @@
+import { useState, useEffect } from 'react';
+
+const STORAGE_KEY = 'st-model-watchlist';
+
+const loadIds = () => {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        const parsed = raw ? JSON.parse(raw) : [];
+        return Array.isArray(parsed) ? parsed.map(String) : [];
+    } catch (e) {
+        console.warn('[WATCHLIST] Failed to read saved watchlist:', e);
+        return [];
+    }
+};
+
+/**
+ * Pinned satellite ids (catalog numbers) persisted in localStorage, in pinning order.
+ */
+export const useWatchlist = () => {
+    const [ids, setIds] = useState(loadIds);
+
+    useEffect(() => {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(ids));
+        } catch (e) {
+            console.warn('[WATCHLIST] Failed to save watchlist:', e);
+        }
+    }, [ids]);
+
+    const isPinned = (id) => ids.includes(id);
+
+    const toggle = (id) => {
+        setIds(prev => (prev.includes(id) ? prev.filter(p => p !== id) : [...prev, id]));
+    };
+
+    const remove = (id) => setIds(prev => prev.filter(p => p !== id));
+
+    const clear = () => setIds([]);
+
+    return { ids, isPinned, toggle, remove, clear };
+};
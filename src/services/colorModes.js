@@ -0,0 +1,196 @@
+import { meanElements, launchYear } from './orbitalElements';
+import { epochAgeDays, formatAge } from './elementAge';
+import { REGIMES } from './orbitRegime';
+import { groupLabel } from './constellations';
+
+/**
+ * Color-by-attribute modes for the satellite layer. A mode maps each object to a hex color
+ * and describes its legend; continuous attributes run along RAMP, categorical ones get
+ * fixed or palette colors.
+ */
+
+const RAMP = ['#0d47a1', '#00acc1', '#7cb342', '#fdd835', '#fb8c00', '#ED1C2E'];
+const RAMP_LEVELS = 64; // continuous values are quantized so instances share colors
+const UNKNOWN_COLOR = '#444';
+const OTHER_COLOR = '#666';
+
+// Colors handed out to categories without fixed ones, most common category first
+const PALETTE = [
+    '#4e79a7', '#f28e2b', '#59a14f', '#edc948', '#b07aa1', '#76b7b2', '#ff9da7', '#9c755f',
+    '#e15759', '#8cd17d', '#499894', '#f1ce63', '#d37295', '#a0cbe8', '#ffbe7d', '#86bcb6'
+];
+
+const REGIME_COLORS = {
+    LEO: '#4e79a7',
+    SSO: '#76b7b2',
+    MEO: '#59a14f',
+    GEO: '#edc948',
+    'GSO-DRIFTING': '#f28e2b',
+    HEO: '#b07aa1',
+    MOLNIYA: '#ff9da7',
+    TUNDRA: '#e15759'
+};
+
+const elementValue = (key) => (sat) => meanElements(sat.satrec)?.[key];
+
+export const COLOR_MODES = {
+    CATEGORY: {
+        label: 'CATEGORY',
+        type: 'categorical',
+        value: sat => sat.category,
+        colors: { STATION: '#00aa00', PAYLOAD: '#888', DEBRIS: '#333' }
+    },
+    ALTITUDE: {
+        label: 'ALT',
+        type: 'continuous',
+        value: elementValue('meanAltitude'),
+        domain: [200, 40000],
+        scale: 'log',
+        format: v => `${Math.round(v)} km`
+    },
+    INCLINATION: {
+        label: 'INC',
+        type: 'continuous',
+        value: elementValue('inc'),
+        domain: [0, 180],
+        scale: 'linear',
+        format: v => `${Math.round(v)}°`
+    },
+    ECCENTRICITY: {
+        label: 'ECC',
+        type: 'continuous',
+        value: elementValue('ecc'),
+        domain: [0, 0.8],
+        scale: 'sqrt',
+        format: v => v.toFixed(2)
+    },
+    EPOCH_AGE: {
+        label: 'AGE',
+        type: 'continuous',
+        value: (sat, now) => epochAgeDays(sat, now),
+        domain: [0, 30],
+        scale: 'sqrt',
+        format: formatAge
+    },
+    LAUNCH_YEAR: {
+        label: 'LAUNCH',
+        type: 'continuous',
+        value: sat => launchYear(sat),
+        domain: null, // spans the catalog
+        scale: 'linear',
+        format: v => String(Math.round(v))
+    },
+    GROUP: {
+        label: 'GROUP',
+        type: 'categorical',
+        value: sat => sat.groups?.[0], // most specific group
+        labelOf: groupLabel
+    },
+    REGIME: {
+        label: 'REGIME',
+        type: 'categorical',
+        value: sat => sat.regime,
+        colors: REGIME_COLORS,
+        order: REGIMES
+    }
+};
+
+const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.substring(i, i + 2), 16));
+
+const rgbToHex = (rgb) => `#${rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+
+const RAMP_RGB = RAMP.map(hexToRgb);
+
+const rampColor = (t) => {
+    const level = Math.round(Math.min(Math.max(t, 0), 1) * (RAMP_LEVELS - 1)) / (RAMP_LEVELS - 1);
+    const position = level * (RAMP_RGB.length - 1);
+    const i = Math.min(Math.floor(position), RAMP_RGB.length - 2);
+    const f = position - i;
+    return rgbToHex(RAMP_RGB[i].map((c, k) => c + (RAMP_RGB[i + 1][k] - c) * f));
+};
+
+const SCALES = {
+    linear: { forward: v => v, inverse: v => v },
+    log: { forward: Math.log, inverse: Math.exp },
+    sqrt: { forward: Math.sqrt, inverse: v => v * v }
+};
+
+const isKnown = (value) => value !== undefined && value !== null && !(typeof value === 'number' && isNaN(value));
+
+const continuousScale = (mode, satellites, now) => {
+    let [min, max] = mode.domain || [Infinity, -Infinity];
+    if (!mode.domain) {
+        satellites.forEach(sat => {
+            const v = mode.value(sat, now);
+            if (!isKnown(v)) return;
+            if (v < min) min = v;
+            if (v > max) max = v;
+        });
+        if (min > max) [min, max] = [0, 1];
+        if (min === max) max = min + 1;
+    }
+
+    const { forward, inverse } = SCALES[mode.scale];
+    const lo = forward(min);
+    const hi = forward(max);
+    const mid = inverse((lo + hi) / 2);
+
+    return {
+        colorOf: (sat) => {
+            const v = mode.value(sat, now);
+            if (!isKnown(v)) return UNKNOWN_COLOR;
+            return rampColor((forward(Math.max(v, min)) - lo) / (hi - lo));
+        },
+        legend: {
+            type: 'continuous',
+            gradient: `linear-gradient(to right, ${RAMP.join(', ')})`,
+            labels: [min, mid, max].map(mode.format)
+        }
+    };
+};
+
+const categoricalScale = (mode, satellites, now) => {
+    const counts = new Map();
+    satellites.forEach(sat => {
+        const v = mode.value(sat, now);
+        const key = isKnown(v) ? v : null;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
+    const keys = [...counts.keys()].filter(k => k !== null);
+    if (mode.order) keys.sort((a, b) => mode.order.indexOf(a) - mode.order.indexOf(b));
+    else keys.sort((a, b) => counts.get(b) - counts.get(a));
+
+    const colors = new Map();
+    let paletteIndex = 0;
+    keys.forEach(key => {
+        if (mode.colors && mode.colors[key]) colors.set(key, mode.colors[key]);
+        else if (paletteIndex < PALETTE.length) colors.set(key, PALETTE[paletteIndex++]);
+    });
+
+    const labelOf = mode.labelOf || (k => String(k).toUpperCase());
+    const items = keys.filter(k => colors.has(k)).map(k => ({ label: labelOf(k), color: colors.get(k), count: counts.get(k) }));
+    const otherCount = keys.filter(k => !colors.has(k)).reduce((sum, k) => sum + counts.get(k), 0);
+    if (otherCount) items.push({ label: 'OTHER', color: OTHER_COLOR, count: otherCount });
+    if (counts.get(null)) items.push({ label: 'UNKNOWN', color: UNKNOWN_COLOR, count: counts.get(null) });
+
+    return {
+        colorOf: (sat) => {
+            const v = mode.value(sat, now);
+            if (!isKnown(v)) return UNKNOWN_COLOR;
+            return colors.get(v) || OTHER_COLOR;
+        },
+        legend: { type: 'categorical', items }
+    };
+};
+
+/**
+ * Builds the color mapping of one mode over the catalog.
+ * @returns {{ colorOf: (sat) => string, legend: Object }}
+ */
+export const buildColorScale = (modeKey, satellites, now = Date.now()) => {
+    const mode = COLOR_MODES[modeKey] || COLOR_MODES.CATEGORY;
+    return mode.type === 'continuous'
+        ? continuousScale(mode, satellites, now)
+        : categoricalScale(mode, satellites, now);
+};
@@ -0,0 +1,296 @@
+import * as satellite from 'satellite.js';
+
+export const DEFAULT_SCREENING = {
+    windowHours: 24,
+    stepSeconds: 60,
+    thresholdKm: 5
+};
+
+// Upper bound on relative speed between two Earth orbiters (head-on LEO crossing)
+const MAX_REL_SPEED = 16; // km/s
+// Extra margin on the apogee/perigee overlap test to absorb drag and short-period terms
+const SHELL_MARGIN = 25; // km
+// mu / r^3 at the lowest LEO altitudes; bounds how far relative motion bends away from a straight line
+const GRAVITY_GRADIENT = 1.5e-6; // 1/s^2
+const EARTH_RADIUS_SGP4 = satellite.constants.earthRadius;
+const GRID_OFFSET = 512;
+const REFINE_ITERATIONS = 30;
+const GOLDEN = (Math.sqrt(5) - 1) / 2;
+
+/**
+ * Radial extent of each orbit (km from Earth's centre), used to drop pairs
+ * whose shells can never intersect.
+ */
+const getShell = (satrec) => {
+    const a = satrec.a * EARTH_RADIUS_SGP4;
+    return {
+        min: a * (1 - satrec.ecco),
+        max: a * (1 + satrec.ecco)
+    };
+};
+
+const shellsOverlap = (s1, s2, pad) => s1.min - pad <= s2.max && s2.min - pad <= s1.max;
+
+const positionAt = (satrec, time) => {
+    const pv = satellite.propagate(satrec, new Date(time));
+    if (!pv || !pv.position) return null;
+    return pv;
+};
+
+const distance = (p1, p2) => Math.sqrt(
+    (p1.x - p2.x) ** 2 +
+    (p1.y - p2.y) ** 2 +
+    (p1.z - p2.z) ** 2
+);
+
+/**
+ * Golden-section search for the time of closest approach inside [t0, t1].
+ */
+const refineClosestApproach = (satrec1, satrec2, t0, t1) => {
+    const rangeAt = (t) => {
+        const a = positionAt(satrec1, t);
+        const b = positionAt(satrec2, t);
+        return a && b ? distance(a.position, b.position) : Infinity;
+    };
+
+    let lo = t0;
+    let hi = t1;
+    let x1 = hi - GOLDEN * (hi - lo);
+    let x2 = lo + GOLDEN * (hi - lo);
+    let f1 = rangeAt(x1);
+    let f2 = rangeAt(x2);
+
+    for (let i = 0; i < REFINE_ITERATIONS; i++) {
+        if (f1 < f2) {
+            hi = x2;
+            x2 = x1;
+            f2 = f1;
+            x1 = hi - GOLDEN * (hi - lo);
+            f1 = rangeAt(x1);
+        } else {
+            lo = x1;
+            x1 = x2;
+            f1 = f2;
+            x2 = lo + GOLDEN * (hi - lo);
+            f2 = rangeAt(x2);
+        }
+    }
+
+    const tca = Math.round((lo + hi) / 2);
+    const a = positionAt(satrec1, tca);
+    const b = positionAt(satrec2, tca);
+    if (!a || !b) return null;
+
+    const relVelocity = Math.sqrt(
+        (a.velocity.x - b.velocity.x) ** 2 +
+        (a.velocity.y - b.velocity.y) ** 2 +
+        (a.velocity.z - b.velocity.z) ** 2
+    );
+
+    return { tca, missDistance: distance(a.position, b.position), relVelocity };
+};
+
+const cellKey = (ix, iy, iz) => {
+    const clamp = (v) => Math.min(Math.max(v + GRID_OFFSET, 0), 2 * GRID_OFFSET - 1);
+    return clamp(ix) | (clamp(iy) << 10) | (clamp(iz) << 20);
+};
+
+/**
+ * Screens satellites for close approaches over a time window.
+ *
+ * Every object is sampled on a fixed time grid; pairs whose sampled range
+ * reaches a local minimum inside the coarse gate are refined to the true
+ * time of closest approach (TCA). A range still falling at the last sample is
+ * refined against the window end, so its TCA may be the end itself. Without a
+ * primary the whole set is screened against itself using a spatial hash,
+ * otherwise only primary-vs-all pairs, with the primary reported as such.
+ *
+ * @param {Array<{id: string, name: string, satrec: Object}>} satellites
+ * @param {Object} options
+ * @param {number} options.startTime - Window start (ms since epoch)
+ * @param {number} [options.windowHours]
+ * @param {number} [options.stepSeconds]
+ * @param {number} [options.thresholdKm] - Report approaches closer than this
+ * @param {string|null} [options.primaryId] - Screen only this object against the rest
+ * @param {Function} [onProgress] - Called with a 0..1 fraction
+ * @returns {Array<Object>} Events sorted by miss distance
+ * @throws {Error} When the window, step or threshold is not a positive number
+ */
+export const screenConjunctions = (satellites, options, onProgress) => {
+    const {
+        startTime,
+        windowHours = DEFAULT_SCREENING.windowHours,
+        stepSeconds = DEFAULT_SCREENING.stepSeconds,
+        thresholdKm = DEFAULT_SCREENING.thresholdKm,
+        primaryId = null
+    } = options;
+
+    [['WINDOW', windowHours], ['STEP', stepSeconds], ['THRESHOLD', thresholdKm]].forEach(([label, value]) => {
+        if (!(value > 0) || !isFinite(value)) throw new Error(`${label} MUST BE A POSITIVE NUMBER`);
+    });
+
+    const count = satellites.length;
+    const stepMs = stepSeconds * 1000;
+    const steps = Math.ceil((windowHours * 3600) / stepSeconds);
+    const gate = thresholdKm + (MAX_REL_SPEED * stepSeconds) / 2;
+    const shells = satellites.map(sat => getShell(sat.satrec));
+    // Position (km) and velocity (km/s) of every object at the current sample
+    const states = new Float64Array(count * 6);
+    const valid = new Uint8Array(count);
+
+    const primaryIndex = primaryId ? satellites.findIndex(s => s.id === primaryId) : -1;
+    if (primaryId && primaryIndex === -1) return [];
+
+    // Primary mode: pre-select every secondary whose shell can reach the primary
+    const secondaries = primaryIndex >= 0
+        ? satellites
+            .map((_, j) => j)
+            .filter(j => j !== primaryIndex && shellsOverlap(shells[primaryIndex], shells[j], thresholdKm + SHELL_MARGIN))
+        : null;
+
+    // Per-pair sampled ranges: key -> { i, j, d1, d2, step }
+    const pairs = new Map();
+    const events = [];
+
+    const refinePair = (i, j, t0, t1) => {
+        const result = refineClosestApproach(satellites[i].satrec, satellites[j].satrec, t0, t1);
+        if (result && result.missDistance <= thresholdKm) {
+            events.push({
+                primaryId: satellites[i].id,
+                primaryName: satellites[i].name,
+                secondaryId: satellites[j].id,
+                secondaryName: satellites[j].name,
+                ...result
+            });
+        }
+    };
+
+    // i is reported as the primary and j as the secondary; the pair key ignores the order
+    const visitPair = (i, j, k) => {
+        const a = i * 6;
+        const b = j * 6;
+        const dx = states[a] - states[b];
+        const dy = states[a + 1] - states[b + 1];
+        const dz = states[a + 2] - states[b + 2];
+        const d = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        const key = Math.min(i, j) * count + Math.max(i, j);
+        const state = pairs.get(key);
+
+        if (!state || state.step !== k - 1) {
+            if (d <= gate) pairs.set(key, { i, j, d1: d, d2: Infinity, step: k });
+            return;
+        }
+
+        // Previous sample was a local minimum: refine between the neighbouring samples,
+        // unless straight-line relative motion already puts the miss well outside the threshold
+        if (state.d1 < state.d2 && d >= state.d1 && linearMiss(a, b, dx, dy, dz, d) <= thresholdKm) {
+            refinePair(i, j, startTime + Math.max(k - 2, 0) * stepMs, startTime + k * stepMs);
+        }
+
+        if (d <= gate || d < state.d1) {
+            state.d2 = state.d1;
+            state.d1 = d;
+            state.step = k;
+        } else {
+            pairs.delete(key);
+        }
+    };
+
+    const linearMiss = (a, b, dx, dy, dz, d) => {
+        const vx = states[a + 3] - states[b + 3];
+        const vy = states[a + 4] - states[b + 4];
+        const vz = states[a + 5] - states[b + 5];
+        const v2 = vx * vx + vy * vy + vz * vz;
+        if (v2 === 0) return d;
+        const t = -(dx * vx + dy * vy + dz * vz) / v2;
+        const miss = Math.sqrt((dx + vx * t) ** 2 + (dy + vy * t) ** 2 + (dz + vz * t) ** 2);
+        return miss - 0.5 * GRAVITY_GRADIENT * d * t * t;
+    };
+
+    for (let k = 0; k <= steps; k++) {
+        const date = new Date(startTime + k * stepMs);
+
+        const propagateIndex = (i) => {
+            const pv = satellite.propagate(satellites[i].satrec, date);
+            if (pv && pv.position) {
+                const o = i * 6;
+                states[o] = pv.position.x;
+                states[o + 1] = pv.position.y;
+                states[o + 2] = pv.position.z;
+                states[o + 3] = pv.velocity.x;
+                states[o + 4] = pv.velocity.y;
+                states[o + 5] = pv.velocity.z;
+                valid[i] = 1;
+            } else {
+                valid[i] = 0;
+            }
+        };
+
+        if (secondaries) {
+            propagateIndex(primaryIndex);
+            if (valid[primaryIndex]) {
+                for (const j of secondaries) {
+                    propagateIndex(j);
+                    if (!valid[j]) continue;
+                    visitPair(primaryIndex, j, k);
+                }
+            }
+        } else {
+            const grid = new Map();
+            for (let i = 0; i < count; i++) {
+                propagateIndex(i);
+                if (!valid[i]) continue;
+                const key = cellKey(
+                    Math.floor(states[i * 6] / gate),
+                    Math.floor(states[i * 6 + 1] / gate),
+                    Math.floor(states[i * 6 + 2] / gate)
+                );
+                const bucket = grid.get(key);
+                if (bucket) bucket.push(i);
+                else grid.set(key, [i]);
+            }
+
+            for (let i = 0; i < count; i++) {
+                if (!valid[i]) continue;
+                const cx = Math.floor(states[i * 6] / gate);
+                const cy = Math.floor(states[i * 6 + 1] / gate);
+                const cz = Math.floor(states[i * 6 + 2] / gate);
+                const seen = new Set();
+                for (let ox = -1; ox <= 1; ox++) {
+                    for (let oy = -1; oy <= 1; oy++) {
+                        for (let oz = -1; oz <= 1; oz++) {
+                            const key = cellKey(cx + ox, cy + oy, cz + oz);
+                            if (seen.has(key)) continue;
+                            seen.add(key);
+                            const bucket = grid.get(key);
+                            if (!bucket) continue;
+                            for (const j of bucket) {
+                                if (j <= i) continue;
+                                if (!shellsOverlap(shells[i], shells[j], thresholdKm + SHELL_MARGIN)) continue;
+                                visitPair(i, j, k);
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        // Drop pairs that left the gate without being revisited
+        if (k % 50 === 0) {
+            for (const [key, state] of pairs) {
+                if (state.step < k) pairs.delete(key);
+            }
+        }
+
+        if (onProgress && (k % 10 === 0 || k === steps)) onProgress(k / steps);
+    }
+
+    // Ranges still closing at the last sample reach their minimum at or just before the window end
+    for (const state of pairs.values()) {
+        if (state.step === steps && state.d1 < state.d2) {
+            refinePair(state.i, state.j, startTime + Math.max(steps - 1, 0) * stepMs, startTime + steps * stepMs);
+        }
+    }
+
+    return events.sort((a, b) => a.missDistance - b.missDistance);
+};
@@ -0,0 +1,39 @@
+/**
+ * Display names for the CelesTrak groups the catalog is assembled from, and the
+ * constellation presets built on them.
+ */
+
+export const GROUP_LABELS = {
+    stations: 'STATIONS',
+    starlink: 'STARLINK',
+    oneweb: 'ONEWEB',
+    'iridium-NEXT': 'IRIDIUM NEXT',
+    'gps-ops': 'GPS',
+    'glo-ops': 'GLONASS',
+    beidou: 'BEIDOU',
+    galileo: 'GALILEO',
+    planet: 'PLANET',
+    spire: 'SPIRE',
+    weather: 'WEATHER',
+    noaa: 'NOAA',
+    goes: 'GOES',
+    resource: 'EARTH RESOURCES',
+    science: 'SCIENCE',
+    active: 'ACTIVE',
+    'cosmos-1408-debris': 'COSMOS 1408 DEB',
+    'fengyun-1c-debris': 'FENGYUN 1C DEB',
+    'iridium-33-debris': 'IRIDIUM 33 DEB',
+    'cosmos-2251-debris': 'COSMOS 2251 DEB'
+};
+
+export const CONSTELLATION_PRESETS = [
+    { label: 'GNSS', groups: ['gps-ops', 'glo-ops', 'beidou', 'galileo'] },
+    { label: 'BROADBAND', groups: ['starlink', 'oneweb'] }
+];
+
+export const groupLabel = (groupKey) => GROUP_LABELS[groupKey] || groupKey.toUpperCase();
+
+/**
+ * Whether a satellite belongs to any of the selected groups; an empty selection matches everything.
+ */
+export const inGroups = (sat, selected) => selected.length === 0 || (sat.groups || []).some(g => selected.includes(g));
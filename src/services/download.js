@@ -0,0 +1,13 @@
+/**
+ * Saves generated text as a file through a temporary object URL.
+ */
+export const downloadText = (filename, text, type = 'text/plain') => {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
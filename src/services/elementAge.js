@@ -0,0 +1,86 @@
+import { parseOmmEpoch } from './omm.js';
+
+/**
+ * Element set epoch bookkeeping: how old each object's orbit data is.
+ * Kept free of browser APIs so the serverless functions can import it as well.
+ */
+
+export const DAY_MS = 86400000;
+
+// Julian date of the Unix epoch
+const JD_UNIX_EPOCH = 2440587.5;
+
+// Upper bounds (days) of the age histogram reported by the API
+export const AGE_BUCKETS = [
+    { label: '<1d', maxDays: 1 },
+    { label: '1-3d', maxDays: 3 },
+    { label: '3-7d', maxDays: 7 },
+    { label: '7-14d', maxDays: 14 },
+    { label: '14-30d', maxDays: 30 },
+    { label: '>30d', maxDays: Infinity }
+];
+
+/**
+ * Element set epoch in ms since epoch, from the record's OMM-style epoch or its satrec.
+ * Returns NaN when neither is available.
+ */
+export const epochTime = (sat) => {
+    if (!sat) return NaN;
+    const parsed = parseOmmEpoch(sat.epoch);
+    if (!isNaN(parsed)) return parsed;
+    if (sat.satrec && sat.satrec.jdsatepoch) {
+        return (sat.satrec.jdsatepoch + (sat.satrec.jdsatepochF || 0) - JD_UNIX_EPOCH) * DAY_MS;
+    }
+    return NaN;
+};
+
+/**
+ * Age of the element set at `time` in days (negative when the epoch lies in the future).
+ */
+export const epochAgeDays = (sat, time = Date.now()) => (time - epochTime(sat)) / DAY_MS;
+
+export const isStale = (sat, maxAgeDays, time = Date.now()) => epochAgeDays(sat, time) > maxAgeDays;
+
+/**
+ * Compact age label: minutes/hours under a day, days beyond.
+ */
+export const formatAge = (days) => {
+    if (isNaN(days)) return 'N/A';
+    const abs = Math.abs(days);
+    const sign = days < 0 ? '-' : '';
+    if (abs < 1 / 24) return `${sign}${Math.round(abs * 1440)} min`;
+    if (abs < 1) return `${sign}${(abs * 24).toFixed(1)} h`;
+    return `${sign}${abs.toFixed(1)} d`;
+};
+
+/**
+ * Histogram and summary of element set ages across a list of satellites.
+ * Records without a usable epoch are counted separately as `unknown`.
+ */
+export const ageDistribution = (satellites, time = Date.now()) => {
+    const buckets = AGE_BUCKETS.map(({ label }) => ({ label, count: 0 }));
+    const ages = [];
+    let unknown = 0;
+
+    for (const sat of satellites) {
+        const age = epochAgeDays(sat, time);
+        if (isNaN(age)) {
+            unknown++;
+            continue;
+        }
+        ages.push(age);
+        const index = AGE_BUCKETS.findIndex(bucket => age < bucket.maxDays);
+        buckets[index].count++;
+    }
+
+    ages.sort((a, b) => a - b);
+    const round = (days) => Math.round(days * 100) / 100;
+
+    return {
+        buckets,
+        unknown,
+        newestDays: ages.length ? round(ages[0]) : null,
+        medianDays: ages.length ? round(ages[Math.floor(ages.length / 2)]) : null,
+        oldestDays: ages.length ? round(ages[ages.length - 1]) : null
+    };
+};
@@ -0,0 +1,81 @@
+import { buildSatrec } from './propagation.js';
+import { parseTLE } from './tle.js';
+import { detectElementFormat, parseOmm, parseOmmEpoch, formatOmmEpoch } from './omm.js';
+
+/**
+ * Historical element sets of a single object, for replaying it with the set
+ * that was current at the simulation time instead of today's elements.
+ */
+
+const parseTleHistory = (text) => {
+    const lines = text.split(/\r?\n/).map(l => l.trimEnd());
+    const sets = [];
+    for (let i = 0; i < lines.length - 1; i++) {
+        if (!lines[i].startsWith('1 ') || !lines[i + 1].startsWith('2 ')) continue;
+        const tle1 = lines[i];
+        const tle2 = lines[i + 1];
+        const fields = parseTLE(tle1, tle2);
+        if (fields) sets.push({ epoch: fields.epoch, elementSetNo: fields.elementSetNo, tle1, tle2 });
+        i++;
+    }
+    return sets;
+};
+
+/**
+ * Parses TLE (2- or 3-line) or OMM history text into element sets sorted by epoch.
+ * Each set carries { epoch (ms), elementSetNo, tle1/tle2 or omm, satrec }.
+ * Sets that fail to initialize and duplicate epochs are dropped.
+ */
+export const parseElementHistory = (text) => {
+    if (!text || !text.trim()) return [];
+    const format = detectElementFormat(text);
+    const raw = format === 'tle'
+        ? parseTleHistory(text)
+        : parseOmm(text, format).map(omm => ({ epoch: parseOmmEpoch(omm.EPOCH), elementSetNo: omm.ELEMENT_SET_NO, omm }));
+
+    const byEpoch = new Map();
+    for (const set of raw) {
+        if (isNaN(set.epoch) || byEpoch.has(set.epoch)) continue;
+        try {
+            const satrec = buildSatrec(set);
+            if (satrec.error) continue;
+            byEpoch.set(set.epoch, { ...set, satrec });
+        } catch {
+            // Malformed set; skip it
+        }
+    }
+    return [...byEpoch.values()].sort((a, b) => a.epoch - b.epoch);
+};
+
+/**
+ * Index of the set whose epoch is closest to `time` (sets sorted by epoch), or -1 when empty.
+ */
+export const closestElementSet = (sets, time) => {
+    if (!sets || sets.length === 0) return -1;
+    let lo = 0;
+    let hi = sets.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (sets[mid].epoch < time) lo = mid + 1;
+        else hi = mid;
+    }
+    if (lo > 0 && time - sets[lo - 1].epoch <= sets[lo].epoch - time) return lo - 1;
+    return lo;
+};
+
+/**
+ * A copy of the satellite record propagating from a historical set instead of its current elements.
+ */
+export const withElementSet = (sat, set) => {
+    if (!sat || !set) return sat;
+    return {
+        ...sat,
+        tle1: set.tle1,
+        tle2: set.tle2,
+        omm: set.omm,
+        epoch: formatOmmEpoch(set.epoch),
+        elementSetNo: set.elementSetNo,
+        satrec: set.satrec,
+        replay: true
+    };
+};
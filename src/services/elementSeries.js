@@ -0,0 +1,76 @@
+import { meanElements } from './orbitalElements';
+
+/**
+ * Mean element time series of one object's historical element sets, for charting and CSV export.
+ */
+
+// Columns in export order: [key, CSV header, value digits]
+const SERIES_COLUMNS = [
+    ['sma', 'sma_km', 3],
+    ['perigee', 'perigee_alt_km', 3],
+    ['apogee', 'apogee_alt_km', 3],
+    ['inc', 'inclination_deg', 5],
+    ['raan', 'raan_deg', 5],
+    ['ecc', 'eccentricity', 7],
+    ['bstar', 'bstar_1_per_earth_radius', null],
+    ['ndot', 'mean_motion_dot_rev_day2', null],
+    ['nddot', 'mean_motion_ddot_rev_day3', null]
+];
+
+/**
+ * Unwraps an angle series (degrees) so 359° -> 1° plots as a 2° step instead of a 358° drop.
+ */
+export const unwrapDegrees = (values) => {
+    let offset = 0;
+    return values.map((value, i) => {
+        if (i > 0) {
+            const step = value - values[i - 1];
+            if (step < -180) offset += 360;
+            else if (step > 180) offset -= 360;
+        }
+        return value + offset;
+    });
+};
+
+/**
+ * One row per element set (sorted by epoch): { epoch, sma, perigee, apogee, inc, raan, raanUnwrapped, ecc, bstar, ndot, nddot }.
+ */
+export const elementSeries = (sets) => {
+    const rows = (sets || [])
+        .map(set => {
+            const el = meanElements(set.satrec);
+            if (!el) return null;
+            return {
+                epoch: set.epoch,
+                sma: el.sma,
+                perigee: el.perigee,
+                apogee: el.apogee,
+                inc: el.inc,
+                raan: el.raan,
+                ecc: el.ecc,
+                bstar: el.bstar,
+                ndot: el.ndot,
+                nddot: el.nddot
+            };
+        })
+        .filter(Boolean);
+    const raanUnwrapped = unwrapDegrees(rows.map(r => r.raan));
+    return rows.map((row, i) => ({ ...row, raanUnwrapped: raanUnwrapped[i] }));
+};
+
+const csvValue = (value, digits) => {
+    if (value === undefined || value === null || isNaN(value)) return '';
+    return digits === null ? value.toExponential(6) : value.toFixed(digits);
+};
+
+/**
+ * CSV of the series, one row per element set, epochs in ISO 8601 UTC.
+ */
+export const elementSeriesToCsv = (rows) => {
+    const header = ['epoch_utc', ...SERIES_COLUMNS.map(([, name]) => name)].join(',');
+    const lines = rows.map(row => [
+        new Date(row.epoch).toISOString(),
+        ...SERIES_COLUMNS.map(([key, , digits]) => csvValue(row[key], digits))
+    ].join(','));
+    return [header, ...lines].join('\n') + '\n';
+};
@@ -0,0 +1,179 @@
+import * as satellite from 'satellite.js';
+import { sunPosition, eclipseState } from './sun.js';
+
+/**
+ * Propagated state histories and their export formats (CSV, JSON, CCSDS OEM).
+ * Free of browser APIs so the serverless ephemeris route can share it.
+ */
+
+export const EPHEMERIS_FORMATS = ['csv', 'json', 'oem'];
+export const EPHEMERIS_FRAMES = ['TEME', 'ECEF', 'GEODETIC'];
+export const MAX_EPHEMERIS_POINTS = 20000;
+
+const EARTH_ROTATION = 7.292115e-5; // rad/s
+const RAD_TO_DEG = 180 / Math.PI;
+
+const vector = ({ x, y, z }) => ({ x, y, z });
+
+const norm = ({ x, y, z }) => Math.sqrt(x * x + y * y + z * z);
+
+/**
+ * Number of samples between start and stop (inclusive) at the given step.
+ */
+export const ephemerisPointCount = (start, stop, stepSeconds) => Math.floor((stop - start) / (stepSeconds * 1000)) + 1;
+
+/**
+ * One state in every frame: TEME as propagated, Earth-fixed (GMST rotation, so polar motion
+ * is neglected) and geodetic, plus speed and illumination. Null if SGP4 fails at that time.
+ */
+export const stateAt = (satrec, time) => {
+    const date = new Date(time);
+    const pv = satellite.propagate(satrec, date);
+    if (!pv || !pv.position || !pv.velocity) return null;
+
+    const gmst = satellite.gstime(date);
+    const position = satellite.eciToEcf(pv.position, gmst);
+    // The velocity is rotated like the position, minus the frame's own rotation
+    const rotated = satellite.eciToEcf(pv.velocity, gmst);
+    const velocity = {
+        x: rotated.x + EARTH_ROTATION * position.y,
+        y: rotated.y - EARTH_ROTATION * position.x,
+        z: rotated.z
+    };
+    const geodetic = satellite.eciToGeodetic(pv.position, gmst);
+
+    return {
+        time,
+        teme: { position: vector(pv.position), velocity: vector(pv.velocity) },
+        ecef: { position: vector(position), velocity },
+        geodetic: {
+            lat: geodetic.latitude * RAD_TO_DEG,
+            lon: geodetic.longitude * RAD_TO_DEG,
+            alt: geodetic.height
+        },
+        speed: norm(pv.velocity),
+        illumination: eclipseState(pv.position, sunPosition(time))
+    };
+};
+
+/**
+ * States from start to stop (ms, inclusive) every stepSeconds.
+ * Times where propagation fails (e.g. after decay) are left out.
+ */
+export const generateEphemeris = (satrec, { start, stop, stepSeconds }) => {
+    const count = ephemerisPointCount(start, stop, stepSeconds);
+    if (!(count > 0)) throw new Error('stop must not be before start');
+    if (count > MAX_EPHEMERIS_POINTS) {
+        throw new Error(`Span and step give ${count} points, the limit is ${MAX_EPHEMERIS_POINTS}`);
+    }
+
+    const states = [];
+    for (let i = 0; i < count; i++) {
+        const state = stateAt(satrec, start + i * stepSeconds * 1000);
+        if (state) states.push(state);
+    }
+    return states;
+};
+
+// ISO 8601 without the zone designator, as CCSDS time fields expect
+const ccsdsTime = (time) => new Date(time).toISOString().replace('Z', '');
+
+const fixed = (digits) => (value) => value.toFixed(digits);
+const km = fixed(6);
+const kms = fixed(9);
+const deg = fixed(6);
+
+const STATE_COLUMNS = {
+    TEME: [
+        ['x_km', s => km(s.teme.position.x)], ['y_km', s => km(s.teme.position.y)], ['z_km', s => km(s.teme.position.z)],
+        ['vx_km_s', s => kms(s.teme.velocity.x)], ['vy_km_s', s => kms(s.teme.velocity.y)], ['vz_km_s', s => kms(s.teme.velocity.z)]
+    ],
+    ECEF: [
+        ['x_km', s => km(s.ecef.position.x)], ['y_km', s => km(s.ecef.position.y)], ['z_km', s => km(s.ecef.position.z)],
+        ['vx_km_s', s => kms(s.ecef.velocity.x)], ['vy_km_s', s => kms(s.ecef.velocity.y)], ['vz_km_s', s => kms(s.ecef.velocity.z)]
+    ],
+    GEODETIC: []
+};
+
+const DERIVED_COLUMNS = [
+    ['lat_deg', s => deg(s.geodetic.lat)],
+    ['lon_deg', s => deg(s.geodetic.lon)],
+    ['alt_km', s => km(s.geodetic.alt)],
+    ['speed_km_s', s => kms(s.speed)],
+    ['illumination', s => s.illumination]
+];
+
+/**
+ * CSV with one row per state: the frame's position/velocity, then geodetic and derived columns.
+ * @param {Array} states from generateEphemeris
+ * @param {{ frame?: string }} options
+ */
+export const ephemerisToCsv = (states, { frame = 'TEME' } = {}) => {
+    const columns = [['time_utc', s => new Date(s.time).toISOString()], ...STATE_COLUMNS[frame], ...DERIVED_COLUMNS];
+    const header = columns.map(([name]) => name).join(',');
+    const rows = states.map(s => columns.map(([, value]) => value(s)).join(','));
+    return [header, ...rows].join('\n') + '\n';
+};
+
+const jsonState = (s, frame) => {
+    const record = { time: new Date(s.time).toISOString() };
+    if (frame === 'TEME') Object.assign(record, s.teme);
+    if (frame === 'ECEF') Object.assign(record, s.ecef);
+    return { ...record, geodetic: s.geodetic, speed: s.speed, illumination: s.illumination };
+};
+
+/**
+ * JSON document with the object's identity, the request parameters and the states.
+ * @param {{ name, noradId, objectId }} object
+ */
+export const ephemerisToJson = (object, states, { frame = 'TEME', start, stop, stepSeconds } = {}) => ({
+    object,
+    frame,
+    start: new Date(start).toISOString(),
+    stop: new Date(stop).toISOString(),
+    stepSeconds,
+    count: states.length,
+    states: states.map(s => jsonState(s, frame))
+});
+
+/**
+ * CCSDS Orbit Ephemeris Message (KVN, version 2.0), one metadata/data segment per object.
+ * OEM carries Cartesian states only, so the frame is TEME or ECEF; ECEF is labelled ITRF.
+ * @param {Array<{ object, states }>} segments objects without states are left out
+ */
+export const ephemerisToOem = (segments, { frame = 'TEME', creationTime = Date.now() } = {}) => {
+    if (frame !== 'TEME' && frame !== 'ECEF') throw new Error('OEM needs the TEME or ECEF frame');
+    const written = segments.filter(({ states }) => states.length > 0);
+    if (written.length === 0) throw new Error('No states to write');
+    const key = frame === 'TEME' ? 'teme' : 'ecef';
+
+    const lines = [
+        'CCSDS_OEM_VERS = 2.0',
+        `CREATION_DATE = ${ccsdsTime(creationTime)}`,
+        'ORIGINATOR = S.T.MODEL'
+    ];
+
+    written.forEach(({ object, states }) => {
+        lines.push(
+            '',
+            'META_START',
+            `OBJECT_NAME = ${object.name}`,
+            `OBJECT_ID = ${object.objectId || object.noradId}`,
+            'CENTER_NAME = EARTH',
+            `REF_FRAME = ${frame === 'TEME' ? 'TEME' : 'ITRF'}`,
+            'TIME_SYSTEM = UTC',
+            `START_TIME = ${ccsdsTime(states[0].time)}`,
+            `STOP_TIME = ${ccsdsTime(states[states.length - 1].time)}`,
+            'META_STOP',
+            '',
+            `COMMENT SGP4 propagation, NORAD catalog number ${object.noradId}`
+        );
+        if (frame === 'ECEF') lines.push('COMMENT Earth-fixed by GMST rotation; polar motion neglected');
+
+        states.forEach(s => {
+            const { position: p, velocity: v } = s[key];
+            lines.push([ccsdsTime(s.time), km(p.x), km(p.y), km(p.z), kms(v.x), kms(v.y), kms(v.z)].join(' '));
+        });
+    });
+    return lines.join('\n') + '\n';
+};
@@ -0,0 +1,13 @@
+/**
+ * Formats a timestamp as "YYYY-MM-DD HH:MM:SS" in UTC.
+ */
+export const formatUtc = (time) => {
+    const date = new Date(time);
+    if (isNaN(date.getTime())) return 'N/A';
+    return date.toISOString().replace('T', ' ').substring(0, 19);
+};
+
+// datetime-local inputs carry no zone; the panels using these always treat them as UTC
+export const toUtcPickerValue = (time) => new Date(time).toISOString().substring(0, 19);
+
+export const fromUtcPickerValue = (value) => Date.parse(value.length === 16 ? `${value}:00Z` : `${value}Z`);
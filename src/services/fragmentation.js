@@ -0,0 +1,188 @@
+import { meanElements } from './orbitalElements.js';
+import { epochTime, DAY_MS } from './elementAge.js';
+
+/**
+ * Fragmentation events behind the tracked debris groups: cloud statistics, fragment counts
+ * over time and a reconstruction of how each cloud dispersed.
+ */
+
+const J2 = 1.08262668e-3;
+const EARTH_RADIUS_EQ = 6378.137; // km
+const DEG_TO_RAD = Math.PI / 180;
+const TWO_PI = 2 * Math.PI;
+
+const SATCAT_URL = 'https://celestrak.org/satcat/records.php';
+
+// Iridium 33 and Cosmos 2251 collided; each parent's fragments are tracked as their own group
+export const FRAGMENTATION_EVENTS = [
+    { key: 'fengyun-1c', group: 'fengyun-1c-debris', label: 'FENGYUN 1C', kind: 'ASAT TEST', time: Date.parse('2007-01-11T22:26:00Z'), parent: '25730', intlDes: '1999-025', color: '#f28e2b' },
+    { key: 'iridium-33', group: 'iridium-33-debris', label: 'IRIDIUM 33', kind: 'COLLISION', time: Date.parse('2009-02-10T16:56:00Z'), parent: '24946', intlDes: '1997-051', color: '#4e79a7' },
+    { key: 'cosmos-2251', group: 'cosmos-2251-debris', label: 'COSMOS 2251', kind: 'COLLISION', time: Date.parse('2009-02-10T16:56:00Z'), parent: '22675', intlDes: '1993-036', color: '#59a14f' },
+    { key: 'cosmos-1408', group: 'cosmos-1408-debris', label: 'COSMOS 1408', kind: 'ASAT TEST', time: Date.parse('2021-11-15T02:47:00Z'), parent: '13552', intlDes: '1982-092', color: '#ED1C2E' }
+];
+
+export const fragmentsOf = (satellites, event) => satellites.filter(sat => (sat.groups || []).includes(event.group));
+
+const wrap = (angle) => ((angle % TWO_PI) + TWO_PI) % TWO_PI;
+
+const circularMean = (angles) => {
+    let x = 0;
+    let y = 0;
+    angles.forEach(a => { x += Math.cos(a); y += Math.sin(a); });
+    return Math.atan2(y, x);
+};
+
+/**
+ * Smallest arc (degrees) containing every angle: 360 minus the largest gap between neighbors.
+ */
+const angularSpan = (degrees) => {
+    if (degrees.length < 2) return 0;
+    const sorted = degrees.map(d => ((d % 360) + 360) % 360).sort((a, b) => a - b);
+    let largestGap = 360 - sorted[sorted.length - 1] + sorted[0];
+    for (let i = 1; i < sorted.length; i++) largestGap = Math.max(largestGap, sorted[i] - sorted[i - 1]);
+    return 360 - largestGap;
+};
+
+/**
+ * Extent of a cloud: altitude band, inclination spread and how far its orbital planes have fanned out.
+ * @returns {{ count, perigee: [min, max], apogee: [min, max], incMean, incStd, raanSpan }|null}
+ */
+export const cloudSpread = (fragments) => {
+    const elements = fragments.map(sat => meanElements(sat.satrec)).filter(Boolean);
+    if (elements.length === 0) return null;
+
+    const range = (key) => [Math.min(...elements.map(e => e[key])), Math.max(...elements.map(e => e[key]))];
+    const incMean = elements.reduce((sum, e) => sum + e.inc, 0) / elements.length;
+    const incVariance = elements.reduce((sum, e) => sum + (e.inc - incMean) ** 2, 0) / elements.length;
+
+    return {
+        count: elements.length,
+        perigee: range('perigee'),
+        apogee: range('apogee'),
+        incMean,
+        incStd: Math.sqrt(incVariance),
+        raanSpan: angularSpan(elements.map(e => e.raan))
+    };
+};
+
+/**
+ * Debris records of the parent's launch from the CelesTrak SATCAT, decayed pieces included.
+ * @returns {Promise<Array<{ noradId, name, decay: number|null }>>} decay in ms, null while in orbit
+ */
+export const fetchEventDebris = async (event) => {
+    const res = await fetch(`${SATCAT_URL}?INTDES=${event.intlDes}&FORMAT=JSON`);
+    if (!res.ok) throw new Error(`SATCAT returned ${res.status}`);
+    const records = await res.json();
+    return records
+        .filter(r => r.OBJECT_TYPE === 'DEB')
+        .map(r => ({
+            noradId: String(r.NORAD_CAT_ID),
+            name: r.OBJECT_NAME,
+            decay: r.DECAY_DATE ? Date.parse(r.DECAY_DATE) : null
+        }));
+};
+
+/**
+ * Fragments in orbit from the event to `until`, sampled `samples` times.
+ * `history` counts every catalogued piece that has not decayed yet (SATCAT records);
+ * `forecast` continues from `now` with the tracked fragments' predicted reentries, taken from
+ * `decays` (satellite id -> estimate, see useDecayEstimates) and left out while that is null.
+ */
+export const fragmentCountSeries = ({ event, records, fragments, decays, now, until, samples = 120 }) => {
+    const decayDates = records ? records.map(r => r.decay).filter(d => d !== null) : [];
+    const predicted = decays && fragments.map(sat => {
+        const decay = decays.get(sat.id);
+        return decay && !decay.beyond ? decay.date : Infinity;
+    });
+
+    const rows = [];
+    for (let k = 0; k < samples; k++) {
+        const epoch = event.time + ((until - event.time) * k) / (samples - 1);
+        const row = { epoch };
+        if (records && epoch <= now) row.history = records.length - decayDates.filter(d => d <= epoch).length;
+        if (predicted && epoch >= now) row.forecast = predicted.filter(d => d > epoch).length;
+        rows.push(row);
+    }
+    return rows;
+};
+
+// Secular J2 rates (rad/s) of the node and of the argument of latitude
+const secularRates = (el, satrec) => {
+    const n = satrec.no / 60; // rad/s
+    const p = el.sma * (1 - el.ecc * el.ecc);
+    const k = 1.5 * J2 * (EARTH_RADIUS_EQ / p) ** 2 * n;
+    const sinI2 = Math.sin(el.inc * DEG_TO_RAD) ** 2;
+    return {
+        node: -k * Math.cos(el.inc * DEG_TO_RAD),
+        latitude: n + k * (2 - 2.5 * sinI2) + k * Math.sqrt(1 - el.ecc * el.ecc) * (1 - 1.5 * sinI2)
+    };
+};
+
+/**
+ * Reconstructs a cloud's dispersal. Every fragment keeps its current size and inclination and
+ * starts at the event from a common node and along-track position (the means of its elements
+ * run back to the event with its own rates); from there its node and along-track position
+ * drift at its own secular J2 rates. Those rate differences are what turn a breakup into a
+ * ring within days and a shell of planes over the years. Drag history is ignored, so the
+ * reconstruction shows the pattern of the dispersal rather than exact positions.
+ * @returns {{ count, write: (time, out) => void }} write fills `out` with ECI km triplets
+ */
+export const dispersalModel = (fragments, event) => {
+    const pieces = fragments
+        .map(sat => {
+            const el = meanElements(sat.satrec);
+            if (!el) return null;
+            const rates = secularRates(el, sat.satrec);
+            const sinceEvent = (epochTime(sat) - event.time) / 1000;
+            return {
+                radius: el.sma,
+                inc: el.inc * DEG_TO_RAD,
+                rates,
+                node: wrap(el.raan * DEG_TO_RAD - rates.node * sinceEvent),
+                latitude: wrap(el.argp * DEG_TO_RAD + sat.satrec.mo - rates.latitude * sinceEvent)
+            };
+        })
+        .filter(Boolean);
+
+    const node0 = circularMean(pieces.map(p => p.node));
+    const latitude0 = circularMean(pieces.map(p => p.latitude));
+
+    return {
+        count: pieces.length,
+        write: (time, out) => {
+            const elapsed = (time - event.time) / 1000;
+            pieces.forEach((p, i) => {
+                const node = node0 + p.rates.node * elapsed;
+                const u = latitude0 + p.rates.latitude * elapsed;
+                const cosNode = Math.cos(node);
+                const sinNode = Math.sin(node);
+                const cosU = Math.cos(u);
+                const sinU = Math.sin(u);
+                const cosI = Math.cos(p.inc);
+                out[i * 3] = p.radius * (cosNode * cosU - sinNode * sinU * cosI);
+                out[i * 3 + 1] = p.radius * (sinNode * cosU + cosNode * sinU * cosI);
+                out[i * 3 + 2] = p.radius * sinU * Math.sin(p.inc);
+            });
+        }
+    };
+};
+
+export const DISPERSAL_START = 60000; // ms after the event shown first
+export const DISPERSAL_DURATION = 15000; // ms of wall time for a whole replay
+
+/**
+ * Animation time for a replay progress in [0, 1], logarithmic in the time since the event so
+ * the first orbits and the following years both get screen time.
+ */
+export const dispersalTime = (event, endTime, progress) => {
+    const span = Math.max(endTime - event.time, DISPERSAL_START);
+    return event.time + DISPERSAL_START * Math.pow(span / DISPERSAL_START, progress);
+};
+
+export const formatElapsed = (ms) => {
+    const days = ms / DAY_MS;
+    if (days < 1 / 24) return `${Math.round(ms / 60000)} MIN`;
+    if (days < 1) return `${(days * 24).toFixed(1)} H`;
+    if (days < 365) return `${days.toFixed(days < 10 ? 1 : 0)} D`;
+    return `${(days / 365.25).toFixed(1)} Y`;
+};
@@ -0,0 +1,203 @@
+import { meanElements } from './orbitalElements.js';
+import { DAY_MS } from './elementAge.js';
+
+/**
+ * Orbital lifetime and reentry date estimates for low objects.
+ *
+ * The orbit decays under King-Hele's orbit-averaged drag equations for a and e in an
+ * exponential atmosphere. The ballistic coefficient is calibrated so the model reproduces the
+ * element set's mean motion derivative, which carries the drag the object actually felt
+ * around its epoch; BSTAR is the fallback when that derivative is unusable. Decay time scales
+ * inversely with density x ballistic coefficient, so the uncertainty window comes from
+ * rescaling one integration: both ballistic estimates and a factor for future solar activity.
+ * No maneuvers are assumed after the epoch.
+ *
+ * An estimate integrates up to LIFETIME_HORIZON_YEARS on the calling thread (a millisecond or
+ * two for a low eccentric orbit). The catalog is estimated once per load in a worker
+ * (useDecayEstimates); single objects such as the selection go through decayOf.
+ */
+
+const MU = 398600.4418; // km^3/s^2
+const EARTH_RADIUS = 6378.137; // km
+const JD_UNIX_EPOCH = 2440587.5;
+const BSTAR_REFERENCE_DENSITY = 0.15696615; // kg/m^2/ER, SGP4's rho0 in B* = rho0 * Cd*A/m / 2
+
+export const REENTRY_ALTITUDE = 120; // km; below this perigee the object is gone within hours
+export const DECAY_MAX_PERIGEE = 700; // km; higher objects are not estimated
+export const LIFETIME_HORIZON_YEARS = 25;
+export const DENSITY_UNCERTAINTY = 1.5; // future density may be this many times higher or lower
+
+const HORIZON_SECONDS = LIFETIME_HORIZON_YEARS * 365.25 * 86400;
+const HORIZON_MS = HORIZON_SECONDS * 1000;
+const STEP_FRACTION = 0.05; // of the perigee height above REENTRY_ALTITUDE lost per step
+const MIN_STEP = 0.5; // km
+const MAX_DT = 30 * 86400; // s
+const CIRCULAR_ECC = 1e-3;
+const ORBIT_SAMPLES = 24; // eccentric anomaly samples for the orbit average
+
+// Exponential atmosphere (Vallado, Table 8-4): base altitude km, density kg/m^3, scale height km
+const ATMOSPHERE = [
+    [100, 5.297e-7, 5.877],
+    [110, 9.661e-8, 7.263],
+    [120, 2.438e-8, 9.473],
+    [130, 8.484e-9, 12.636],
+    [140, 3.845e-9, 16.149],
+    [150, 2.070e-9, 22.523],
+    [180, 5.464e-10, 29.740],
+    [200, 2.789e-10, 37.105],
+    [250, 7.248e-11, 45.546],
+    [300, 2.418e-11, 53.628],
+    [350, 9.518e-12, 53.298],
+    [400, 3.725e-12, 58.515],
+    [450, 1.585e-12, 60.828],
+    [500, 6.967e-13, 63.822],
+    [600, 1.454e-13, 71.835],
+    [700, 3.614e-14, 88.667],
+    [800, 1.170e-14, 124.64],
+    [900, 5.245e-15, 181.05],
+    [1000, 3.019e-15, 268.00]
+];
+
+/**
+ * Atmospheric density (kg/km^3) at a geodetic height in km.
+ */
+export const atmosphericDensity = (height) => {
+    let i = ATMOSPHERE.length - 1;
+    while (i > 0 && ATMOSPHERE[i][0] > height) i--;
+    const [base, density, scaleHeight] = ATMOSPHERE[i];
+    return density * Math.exp(-(height - base) / scaleHeight) * 1e9;
+};
+
+/**
+ * Orbit-averaged da/dt (km/s) and de/dt (1/s) for a ballistic coefficient Cd*A/m in km^2/kg.
+ */
+const decayRates = (a, e, bc) => {
+    if (e < CIRCULAR_ECC) {
+        return { da: -bc * Math.sqrt(MU * a) * atmosphericDensity(a - EARTH_RADIUS), de: 0 };
+    }
+    let sumA = 0;
+    let sumE = 0;
+    for (let k = 0; k < ORBIT_SAMPLES; k++) {
+        const cosE = Math.cos((2 * Math.PI * k) / ORBIT_SAMPLES);
+        const rho = atmosphericDensity(a * (1 - e * cosE) - EARTH_RADIUS);
+        const ratio = (1 + e * cosE) / (1 - e * cosE);
+        sumA += rho * Math.pow(1 + e * cosE, 1.5) / Math.sqrt(1 - e * cosE);
+        sumE += rho * Math.sqrt(ratio) * (1 - e * e) * cosE;
+    }
+    return {
+        da: (-bc * Math.sqrt(MU * a) * sumA) / ORBIT_SAMPLES,
+        de: (-bc * Math.sqrt(MU / a) * sumE) / ORBIT_SAMPLES
+    };
+};
+
+/**
+ * Seconds until the perigee falls to REENTRY_ALTITUDE (midpoint integration), or Infinity
+ * beyond the horizon.
+ */
+const integrateDecay = (sma, ecc, bc) => {
+    let a = sma;
+    let e = ecc;
+    let t = 0;
+    while (t < HORIZON_SECONDS) {
+        const perigee = a * (1 - e) - EARTH_RADIUS;
+        if (perigee <= REENTRY_ALTITUDE) return t;
+
+        const start = decayRates(a, e, bc);
+        const dt = Math.min(Math.max(MIN_STEP, STEP_FRACTION * (perigee - REENTRY_ALTITUDE)) / -start.da, MAX_DT);
+        const mid = decayRates(a + start.da * dt / 2, Math.max(e + start.de * dt / 2, 0), bc);
+        a += mid.da * dt;
+        e = Math.max(e + mid.de * dt, 0);
+        t += dt;
+    }
+    return Infinity;
+};
+
+/**
+ * Ballistic coefficient (km^2/kg) that makes the model decay as fast as the mean motion
+ * derivative says, or NaN when the derivative shows no decay.
+ */
+const ballisticFromMeanMotion = (el, satrec) => {
+    if (!(el.ndot > 0)) return NaN;
+    const n = satrec.no / 60; // rad/s
+    const nDot = (2 * el.ndot * 2 * Math.PI) / (86400 * 86400); // element field is ndot/2, rev/day^2
+    const observed = (-2 * el.sma * nDot) / (3 * n);
+    return observed / decayRates(el.sma, el.ecc, 1).da;
+};
+
+const ballisticFromBstar = (el) => (el.bstar > 0 ? ((2 * el.bstar) / BSTAR_REFERENCE_DENSITY) * 1e-6 : NaN);
+
+/**
+ * Cheap check, from the mean elements alone, of whether estimateDecay would integrate a satrec:
+ * perigee at or below DECAY_MAX_PERIGEE and a positive mean motion derivative or BSTAR.
+ */
+export const hasDecaySignal = (satrec) => {
+    const el = meanElements(satrec);
+    return !!el && el.perigee <= DECAY_MAX_PERIGEE && (el.ndot > 0 || el.bstar > 0);
+};
+
+/**
+ * Predicted reentry of a satrec.
+ * @returns {{ date, early, late, lateBeyond, lifetimeDays, source, beyond: false }
+ *   | { beyond: true, source }
+ *   | null} dates in ms; source is 'NDOT' or 'BSTAR'; beyond when the nominal lifetime exceeds
+ *   LIFETIME_HORIZON_YEARS; lateBeyond when only the late end of the window does, `late` is then
+ *   clamped to the horizon; null above DECAY_MAX_PERIGEE or without a drag signal
+ */
+export const estimateDecay = (satrec) => {
+    const el = meanElements(satrec);
+    if (!el || el.perigee > DECAY_MAX_PERIGEE) return null;
+
+    const estimates = [
+        ['NDOT', ballisticFromMeanMotion(el, satrec)],
+        ['BSTAR', ballisticFromBstar(el)]
+    ].filter(([, bc]) => bc > 0 && isFinite(bc));
+    if (estimates.length === 0) return null;
+
+    const [source, nominal] = estimates[0];
+    const seconds = integrateDecay(el.sma, el.ecc, nominal);
+    if (!isFinite(seconds)) return { beyond: true, source };
+
+    const epoch = (satrec.jdsatepoch + (satrec.jdsatepochF || 0) - JD_UNIX_EPOCH) * DAY_MS;
+    const bcs = estimates.map(([, bc]) => bc);
+    const fastest = (Math.max(...bcs) / nominal) * DENSITY_UNCERTAINTY;
+    const slowest = (Math.min(...bcs) / nominal) / DENSITY_UNCERTAINTY;
+    const late = epoch + (seconds / slowest) * 1000;
+
+    return {
+        date: epoch + seconds * 1000,
+        early: epoch + (seconds / fastest) * 1000,
+        late: Math.min(late, epoch + HORIZON_MS),
+        lateBeyond: late > epoch + HORIZON_MS,
+        lifetimeDays: seconds / 86400,
+        source,
+        beyond: false
+    };
+};
+
+const decayCache = new WeakMap(); // satrec -> estimate
+
+/**
+ * estimateDecay of a satellite's current satrec, computed on first use and cached. Meant for
+ * single objects; replayed element sets carry their own satrec and get their own estimate.
+ */
+export const decayOf = (sat) => {
+    if (!decayCache.has(sat.satrec)) decayCache.set(sat.satrec, estimateDecay(sat.satrec));
+    return decayCache.get(sat.satrec);
+};
+
+/**
+ * Days from `now` to the predicted reentry: Infinity beyond the horizon, NaN without an estimate.
+ */
+export const daysToDecay = (decay, now = Date.now()) => {
+    if (!decay) return NaN;
+    if (decay.beyond) return Infinity;
+    return (decay.date - now) / DAY_MS;
+};
+
+/**
+ * Objects predicted to reenter within `withinDays` of `now` (including predictions already passed),
+ * soonest first. `decays` maps satellite id to estimate, as returned by useDecayEstimates.
+ */
+export const reentryWatchList = (satellites, decays, withinDays, now = Date.now()) => satellites
+    .filter(sat => daysToDecay(decays.get(sat.id), now) <= withinDays)
+    .sort((a, b) => decays.get(a.id).date - decays.get(b.id).date);
@@ -0,0 +1,113 @@
+import { meanElements } from './orbitalElements.js';
+
+/**
+ * Maneuver detection from a series of historical element sets.
+ *
+ * Each element's change between consecutive sets is compared with the change its typical
+ * rate predicts (drag decay, for instance) and flagged when the residual exceeds both a
+ * robust noise estimate of the series and an absolute floor. Consecutive flagged intervals
+ * are merged into one event, so a burn spread over several sets counts once.
+ */
+
+const MU = 398600.4418; // km^3/s^2
+const DEG_TO_RAD = Math.PI / 180;
+const MAD_TO_SIGMA = 1.4826; // median absolute deviation -> standard deviation for normal noise
+const MIN_NOISE_SAMPLES = 4; // fewer intervals than this and only the floors apply
+
+export const MANEUVER_ELEMENTS = ['sma', 'inc', 'ecc'];
+
+export const DEFAULT_MANEUVER_DETECTION = {
+    sigma: 6,
+    // Smallest jumps reported regardless of how quiet the series is (km, degrees, unitless)
+    floors: { sma: 0.2, inc: 0.01, ecc: 0.0001 }
+};
+
+const median = (values) => {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Delta-v (m/s) of the element changes, from the Gauss equations for a near-circular orbit:
+ * in-plane from the larger of the semi-major axis and eccentricity terms (one tangential burn
+ * changes both), cross-track from the inclination change.
+ */
+export const estimateDeltaV = ({ sma, dSma, dInc, dEcc }) => {
+    const v = Math.sqrt(MU / sma); // km/s
+    const fromSma = (v * Math.abs(dSma)) / (2 * sma);
+    const fromEcc = (v * Math.abs(dEcc)) / 2;
+    const crossTrack = 2 * v * Math.sin((Math.abs(dInc) * DEG_TO_RAD) / 2);
+    const inPlane = Math.max(fromSma, fromEcc);
+    return {
+        inPlane: inPlane * 1000,
+        crossTrack: crossTrack * 1000,
+        total: Math.sqrt(inPlane * inPlane + crossTrack * crossTrack) * 1000,
+        eccentricityDominated: fromEcc > fromSma
+    };
+};
+
+const classify = (event, deltaV) => {
+    if (deltaV.crossTrack > deltaV.inPlane) return 'PLANE CHANGE';
+    if (deltaV.eccentricityDominated) return 'ECC CHANGE';
+    return event.dSma > 0 ? 'ORBIT RAISE' : 'ORBIT LOWER';
+};
+
+/**
+ * Finds maneuvers in element sets sorted by epoch (as parseElementHistory returns them).
+ * @returns {Array<{ start, end, dSma, dInc, dEcc, deltaV, type, elements }>} start/end are the
+ *   epochs (ms) of the sets bracketing the event; deltaV in m/s; elements lists what jumped
+ */
+export const detectManeuvers = (sets, options = {}) => {
+    const { sigma, floors } = { ...DEFAULT_MANEUVER_DETECTION, ...options };
+    const series = (sets || [])
+        .map(set => ({ epoch: set.epoch, elements: meanElements(set.satrec) }))
+        .filter(point => point.elements);
+    if (series.length < 2) return [];
+
+    const intervals = series.slice(1).map((point, i) => {
+        const prev = series[i];
+        const days = (point.epoch - prev.epoch) / 86400000;
+        const deltas = {};
+        MANEUVER_ELEMENTS.forEach(key => { deltas[key] = point.elements[key] - prev.elements[key]; });
+        return { prev, point, days, deltas };
+    });
+
+    // Per element: residual of each change against the median rate, and the flag threshold
+    const residuals = intervals.map(() => ({}));
+    const thresholds = {};
+    MANEUVER_ELEMENTS.forEach(key => {
+        const rate = median(intervals.filter(iv => iv.days > 0).map(iv => iv.deltas[key] / iv.days));
+        intervals.forEach((iv, i) => { residuals[i][key] = iv.deltas[key] - rate * iv.days; });
+        const values = residuals.map(r => r[key]);
+        const noise = values.length >= MIN_NOISE_SAMPLES
+            ? MAD_TO_SIGMA * median(values.map(v => Math.abs(v - median(values))))
+            : 0;
+        thresholds[key] = Math.max(sigma * noise, floors[key]);
+    });
+
+    const events = [];
+    let current = null;
+    intervals.forEach((iv, i) => {
+        const jumped = MANEUVER_ELEMENTS.filter(key => Math.abs(residuals[i][key]) > thresholds[key]);
+        if (jumped.length === 0) {
+            current = null;
+            return;
+        }
+        if (!current) {
+            current = { start: iv.prev.epoch, sma: iv.prev.elements.sma, dSma: 0, dInc: 0, dEcc: 0, elements: [] };
+            events.push(current);
+        }
+        current.end = iv.point.epoch;
+        current.dSma += residuals[i].sma;
+        current.dInc += residuals[i].inc;
+        current.dEcc += residuals[i].ecc;
+        jumped.forEach(key => { if (!current.elements.includes(key)) current.elements.push(key); });
+    });
+
+    return events.map(({ sma, ...event }) => {
+        const deltaV = estimateDeltaV({ sma, ...event });
+        return { ...event, deltaV, type: classify(event, deltaV) };
+    });
+};
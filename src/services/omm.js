@@ -0,0 +1,127 @@
+/**
+ * CCSDS Orbit Mean-Elements Message (OMM) parsing for the JSON, XML and CSV
+ * encodings published by CelesTrak and Space-Track.
+ * Kept free of browser APIs so the serverless functions can import it as well.
+ */
+
+const NUMERIC_FIELDS = [
+    'MEAN_MOTION', 'ECCENTRICITY', 'INCLINATION', 'RA_OF_ASC_NODE', 'ARG_OF_PERICENTER',
+    'MEAN_ANOMALY', 'EPHEMERIS_TYPE', 'NORAD_CAT_ID', 'ELEMENT_SET_NO', 'REV_AT_EPOCH',
+    'BSTAR', 'MEAN_MOTION_DOT', 'MEAN_MOTION_DDOT'
+];
+
+const REQUIRED_FIELDS = ['OBJECT_NAME', 'EPOCH', 'MEAN_MOTION', 'ECCENTRICITY', 'INCLINATION', 'NORAD_CAT_ID'];
+
+/**
+ * Guesses the encoding of a GP/element-set response body.
+ * @returns {'json'|'xml'|'csv'|'tle'}
+ */
+export const detectElementFormat = (text) => {
+    const head = text.trimStart();
+    if (head.startsWith('[') || head.startsWith('{')) return 'json';
+    if (head.startsWith('<')) return 'xml';
+    const firstLine = head.split(/\r?\n/, 1)[0];
+    if (firstLine.includes('OBJECT_NAME') && firstLine.includes(',')) return 'csv';
+    return 'tle';
+};
+
+/**
+ * Coerces numeric keywords (strings in Space-Track/CSV/XML output) to numbers.
+ * Returns null when a keyword needed for propagation is missing.
+ */
+export const normalizeOmm = (record) => {
+    if (!record || REQUIRED_FIELDS.some(key => record[key] === undefined || record[key] === '')) return null;
+    const omm = { ...record };
+    for (const key of NUMERIC_FIELDS) {
+        if (omm[key] !== undefined && omm[key] !== '') omm[key] = Number(omm[key]);
+    }
+    omm.OBJECT_NAME = String(omm.OBJECT_NAME).trim();
+    omm.OBJECT_ID = omm.OBJECT_ID ? String(omm.OBJECT_ID).trim() : '';
+    return omm;
+};
+
+const parseJson = (text) => {
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed) ? parsed : [parsed];
+};
+
+/**
+ * NDM/XML: every <omm> block becomes one record of its leaf keywords.
+ */
+const parseXml = (text) => {
+    const blocks = text.match(/<omm[\s>][\s\S]*?<\/omm>/g) || [];
+    return blocks.map(block => {
+        const record = {};
+        for (const [, key, value] of block.matchAll(/<([A-Z_]+)>([^<]*)<\/\1>/g)) {
+            record[key] = value.trim();
+        }
+        return record;
+    });
+};
+
+const splitCsvLine = (line) => {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell);
+    return cells;
+};
+
+const parseCsv = (text) => {
+    const lines = text.trim().split(/\r?\n/).filter(l => l.trim());
+    if (lines.length < 2) return [];
+    const header = splitCsvLine(lines[0]).map(h => h.trim());
+    return lines.slice(1).map(line => {
+        const cells = splitCsvLine(line);
+        const record = {};
+        header.forEach((key, i) => { record[key] = cells[i] !== undefined ? cells[i].trim() : ''; });
+        return record;
+    });
+};
+
+/**
+ * Parses an OMM document in any supported encoding into normalized records.
+ * Records missing propagation keywords are dropped.
+ */
+export const parseOmm = (text, format = detectElementFormat(text)) => {
+    let records;
+    if (format === 'json') records = parseJson(text);
+    else if (format === 'xml') records = parseXml(text);
+    else if (format === 'csv') records = parseCsv(text);
+    else return [];
+    return records.map(normalizeOmm).filter(Boolean);
+};
+
+/**
+ * OMM epochs are ISO strings that usually omit the zone designator; they are always UTC.
+ */
+export const parseOmmEpoch = (epoch) => {
+    if (!epoch) return NaN;
+    const text = String(epoch);
+    return Date.parse(/[Zz]|[+-]\d\d:?\d\d$/.test(text) ? text : `${text}Z`);
+};
+
+/**
+ * Formats ms since epoch the way CelesTrak writes OMM epochs: microseconds, no zone designator.
+ */
+export const formatOmmEpoch = (time) => new Date(time).toISOString().replace('Z', '000');
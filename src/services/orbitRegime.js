@@ -0,0 +1,55 @@
+import { meanElements } from './orbitalElements.js';
+
+/**
+ * Orbital regime classification from mean elements.
+ * Shared by the client and the serverless functions, so it stays free of browser APIs.
+ */
+
+export const REGIMES = ['LEO', 'SSO', 'MEO', 'GEO', 'GSO-DRIFTING', 'HEO', 'MOLNIYA', 'TUNDRA'];
+
+const LEO_CEILING = 2000; // km
+const GEO_ALTITUDE = 35786; // km
+const SIDEREAL_MEAN_MOTION = 1.00273791; // rev/day
+
+// J2 nodal regression of a sun-synchronous orbit matches the mean motion of the Sun
+const J2 = 1.08262668e-3;
+const EARTH_RADIUS_EQ = 6378.137; // km
+const SUN_RATE = 360 / 365.2422; // deg/day
+const SSO_TOLERANCE = 0.1; // fraction of SUN_RATE
+
+/**
+ * J2 secular drift of the ascending node (deg/day).
+ */
+export const nodalPrecession = ({ sma, ecc, inc, meanMotion }) => {
+    const p = sma * (1 - ecc * ecc);
+    const rate = -1.5 * J2 * Math.pow(EARTH_RADIUS_EQ / p, 2) * Math.cos(inc * Math.PI / 180);
+    return rate * meanMotion * 360;
+};
+
+/**
+ * Regime of a satrec, one of REGIMES, or null without usable elements.
+ * Molniya and Tundra are checked before the altitude bands they overlap,
+ * and sun-synchronous LEO orbits are reported as SSO rather than LEO.
+ */
+export const classifyRegime = (satrec) => {
+    const elements = meanElements(satrec);
+    if (!elements) return null;
+    const { ecc, inc, period, perigee, apogee, meanMotion } = elements;
+    const criticalInclination = inc >= 60 && inc <= 66;
+
+    if (criticalInclination && ecc >= 0.5 && period >= 690 && period <= 750) return 'MOLNIYA';
+    if (criticalInclination && ecc >= 0.15 && ecc < 0.5 && period >= 1380 && period <= 1500) return 'TUNDRA';
+
+    // Geosynchronous band: station-kept GEO keeps its slot, everything else drifts through it
+    if (ecc < 0.1 && Math.abs(meanMotion - SIDEREAL_MEAN_MOTION) < 0.1) {
+        const stationKept = ecc < 0.01 && inc < 5 && Math.abs(meanMotion - SIDEREAL_MEAN_MOTION) < 0.0025;
+        return stationKept ? 'GEO' : 'GSO-DRIFTING';
+    }
+
+    if (apogee < LEO_CEILING) {
+        const drift = nodalPrecession(elements);
+        return Math.abs(drift - SUN_RATE) < SUN_RATE * SSO_TOLERANCE ? 'SSO' : 'LEO';
+    }
+    if (perigee >= LEO_CEILING && apogee < GEO_ALTITUDE - 200) return 'MEO';
+    return 'HEO';
+};
@@ -0,0 +1,46 @@
+import { EARTH_RADIUS } from './propagation.js';
+
+/**
+ * Mean orbital elements derived from a satrec, in the units the UI displays.
+ */
+
+const MU = 398600.4418; // km^3/s^2
+const RAD_TO_DEG = 180 / Math.PI;
+const MINUTES_PER_DAY = 1440;
+
+/**
+ * @returns {{ sma, ecc, inc, raan, argp, meanMotion, period, perigee, apogee, meanAltitude, bstar, ndot, nddot }|null}
+ *   km, degrees, rev/day and minutes; ndot/nddot are the element set's mean motion derivative
+ *   fields (rev/day², rev/day³, already halved and divided by six); null for a record without elements
+ */
+export const meanElements = (satrec) => {
+    if (!satrec || !satrec.no) return null;
+    const n = satrec.no / 60; // rad/s
+    const sma = Math.pow(MU / (n * n), 1 / 3);
+    const ecc = satrec.ecco;
+    const period = (2 * Math.PI) / satrec.no;
+
+    return {
+        sma,
+        ecc,
+        inc: satrec.inclo * RAD_TO_DEG,
+        raan: satrec.nodeo * RAD_TO_DEG,
+        argp: satrec.argpo * RAD_TO_DEG,
+        meanMotion: MINUTES_PER_DAY / period,
+        period,
+        perigee: sma * (1 - ecc) - EARTH_RADIUS,
+        apogee: sma * (1 + ecc) - EARTH_RADIUS,
+        meanAltitude: sma - EARTH_RADIUS,
+        bstar: satrec.bstar,
+        ndot: satrec.ndot,
+        nddot: satrec.nddot
+    };
+};
+
+/**
+ * Launch year from the COSPAR designator (YYYY-NNNP), or NaN when unknown.
+ */
+export const launchYear = (sat) => {
+    const match = /^(\d{4})-/.exec(sat.objectId || '');
+    return match ? parseInt(match[1], 10) : NaN;
+};
@@ -0,0 +1,153 @@
+import * as satellite from 'satellite.js';
+
+const EARTH_ROTATION = 7.292115e-5; // rad/s
+const BISECT_TOLERANCE = 1000; // ms
+const GOLDEN = (Math.sqrt(5) - 1) / 2;
+
+export const DEFAULT_PASS_OPTIONS = {
+    hours: 24,
+    minElevation: 0,
+    stepSeconds: 30
+};
+
+/**
+ * Converts a site given in degrees / metres to the radians / km form satellite.js expects.
+ */
+const toObserverGd = (site) => ({
+    latitude: satellite.degreesToRadians(site.latitude),
+    longitude: satellite.degreesToRadians(site.longitude),
+    height: (site.altitude || 0) / 1000
+});
+
+/**
+ * Topocentric look angles of a satellite from a ground site.
+ * @param {Object} satrec
+ * @param {{latitude: number, longitude: number, altitude: number}} site - degrees, degrees, metres
+ * @param {Date} time
+ * @returns {{azimuth: number, elevation: number, range: number, rangeRate: number}|null}
+ *          Degrees, degrees, km and km/s (positive when receding)
+ */
+export const getLookAngles = (satrec, site, time) => {
+    const pv = satellite.propagate(satrec, time);
+    if (!pv || !pv.position) return null;
+
+    const gmst = satellite.gstime(time);
+    const observerGd = toObserverGd(site);
+    const satEcf = satellite.eciToEcf(pv.position, gmst);
+    const look = satellite.ecfToLookAngles(observerGd, satEcf);
+
+    // Velocity in the rotating frame: rotate, then remove the frame's own rotation
+    const rotated = satellite.eciToEcf(pv.velocity, gmst);
+    const velEcf = {
+        x: rotated.x + EARTH_ROTATION * satEcf.y,
+        y: rotated.y - EARTH_ROTATION * satEcf.x,
+        z: rotated.z
+    };
+    const obsEcf = satellite.geodeticToEcf(observerGd);
+    const rx = satEcf.x - obsEcf.x;
+    const ry = satEcf.y - obsEcf.y;
+    const rz = satEcf.z - obsEcf.z;
+    const range = Math.sqrt(rx * rx + ry * ry + rz * rz);
+
+    return {
+        azimuth: satellite.radiansToDegrees(look.azimuth),
+        elevation: satellite.radiansToDegrees(look.elevation),
+        range,
+        rangeRate: (rx * velEcf.x + ry * velEcf.y + rz * velEcf.z) / range
+    };
+};
+
+const elevationAt = (satrec, site, time) => {
+    const look = getLookAngles(satrec, site, new Date(time));
+    return look ? look.elevation : -90;
+};
+
+/**
+ * Finds the instant elevation crosses minElevation between t0 and t1 (one side above, one below).
+ */
+const bisectCrossing = (satrec, site, minElevation, t0, t1) => {
+    let lo = t0;
+    let hi = t1;
+    const rising = elevationAt(satrec, site, lo) < minElevation;
+    while (hi - lo > BISECT_TOLERANCE) {
+        const mid = (lo + hi) / 2;
+        const above = elevationAt(satrec, site, mid) >= minElevation;
+        if (above === rising) hi = mid;
+        else lo = mid;
+    }
+    return Math.round((lo + hi) / 2);
+};
+
+const findCulmination = (satrec, site, t0, t1) => {
+    let lo = t0;
+    let hi = t1;
+    while (hi - lo > BISECT_TOLERANCE) {
+        const x1 = hi - GOLDEN * (hi - lo);
+        const x2 = lo + GOLDEN * (hi - lo);
+        if (elevationAt(satrec, site, x1) > elevationAt(satrec, site, x2)) hi = x2;
+        else lo = x1;
+    }
+    return Math.round((lo + hi) / 2);
+};
+
+/**
+ * Predicts passes of a satellite over a ground site.
+ * A pass already in progress at startTime is returned with inProgress set and AOS clamped to startTime;
+ * one still in progress at the end of the window is returned with losPastWindow set and LOS clamped
+ * to the window end (its TCA and max elevation then only cover the part inside the window).
+ * @returns {Array<{aos: number, tca: number, los: number, maxElevation: number, aosAzimuth: number, losAzimuth: number, inProgress: boolean, losPastWindow: boolean}>}
+ */
+export const predictPasses = (satrec, site, startTime, options = {}) => {
+    const {
+        hours = DEFAULT_PASS_OPTIONS.hours,
+        minElevation = DEFAULT_PASS_OPTIONS.minElevation,
+        stepSeconds = DEFAULT_PASS_OPTIONS.stepSeconds
+    } = options;
+
+    const stepMs = stepSeconds * 1000;
+    const endTime = startTime + hours * 3600000;
+    const passes = [];
+
+    let prevTime = startTime;
+    let prevAbove = elevationAt(satrec, site, startTime) >= minElevation;
+    let aos = prevAbove ? startTime : null;
+
+    const closePass = (los, losPastWindow = false) => {
+        const tca = findCulmination(satrec, site, aos, los);
+        const aosLook = getLookAngles(satrec, site, new Date(aos));
+        const losLook = getLookAngles(satrec, site, new Date(los));
+        passes.push({
+            aos,
+            tca,
+            los,
+            maxElevation: elevationAt(satrec, site, tca),
+            aosAzimuth: aosLook ? aosLook.azimuth : null,
+            losAzimuth: losLook ? losLook.azimuth : null,
+            inProgress: aos === startTime,
+            losPastWindow
+        });
+    };
+
+    for (let t = startTime + stepMs; t <= endTime; t += stepMs) {
+        const above = elevationAt(satrec, site, t) >= minElevation;
+        if (above && !prevAbove) {
+            aos = bisectCrossing(satrec, site, minElevation, prevTime, t);
+        } else if (!above && prevAbove && aos !== null) {
+            closePass(bisectCrossing(satrec, site, minElevation, prevTime, t));
+            aos = null;
+        }
+        prevTime = t;
+        prevAbove = above;
+    }
+
+    // The last sample can fall short of the window end; the pass may still set before it
+    if (prevAbove && aos !== null) {
+        if (prevTime < endTime && elevationAt(satrec, site, endTime) < minElevation) {
+            closePass(bisectCrossing(satrec, site, minElevation, prevTime, endTime));
+        } else {
+            closePass(endTime, true);
+        }
+    }
+
+    return passes;
+};
@@ -0,0 +1,47 @@
+import { meanElements } from './orbitalElements.js';
+import { epochTime, isStale } from './elementAge.js';
+import { inGroups } from './constellations.js';
+
+/**
+ * Population analytics: which objects the 3D scene currently draws, and the orbit quantities
+ * the 2D plots chart for them.
+ */
+
+const SCENE_CATEGORIES = ['STATION', 'PAYLOAD', 'DEBRIS'];
+
+/**
+ * Whether the 3D scene draws a satellite under the current filters. Same rules as the scene:
+ * objects of other categories are drawn with the payloads, stale sets only drop out in HIDE
+ * mode and unclassified objects pass the regime filter.
+ */
+export const isShownInScene = (sat, { categoryFilters, staleFilter, regimeFilters, groupFilter }, now = Date.now()) => {
+    if (categoryFilters.ONLY_SELECTED) return false;
+    const category = SCENE_CATEGORIES.includes(sat.category) ? sat.category : 'PAYLOAD';
+    if (!categoryFilters[category]) return false;
+    if (staleFilter.mode === 'HIDE' && isStale(sat, staleFilter.maxAgeDays, now)) return false;
+    if (sat.regime && regimeFilters[sat.regime] === false) return false;
+    return inGroups(sat, groupFilter);
+};
+
+/**
+ * One row per satellite: { id, name, period (min), perigee, apogee, altitude (mean, km),
+ * inc, raan (deg), epoch (ms) }, from meanElements like the telemetry stats; objects without
+ * a usable mean motion are left out.
+ */
+export const populationRows = (satellites) => satellites
+    .map(sat => {
+        const el = meanElements(sat.satrec);
+        if (!el) return null;
+        return {
+            id: sat.id,
+            name: sat.name,
+            period: el.period,
+            perigee: el.perigee,
+            apogee: el.apogee,
+            altitude: el.meanAltitude,
+            inc: el.inc,
+            raan: el.raan,
+            epoch: epochTime(sat)
+        };
+    })
+    .filter(row => row && isFinite(row.period) && isFinite(row.apogee));
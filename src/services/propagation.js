@@ -1,20 +1,34 @@
 import * as satellite from 'satellite.js';
+import { catalogNumber } from './tle.js';
+import { meanElements } from './orbitalElements.js';
 
 export const EARTH_RADIUS = 6371; // km
 
+/**
+ * Builds a satrec from whichever element source a satellite record carries:
+ * a CCSDS OMM record when present, otherwise its TLE lines.
+ */
+export const buildSatrec = (sat) => {
+    if (sat.omm) return satellite.json2satrec(sat.omm);
+    return satellite.twoline2satrec(sat.tle1, sat.tle2);
+};
+
+/**
+ * Strips a satellite record down to the element data a worker needs for buildSatrec.
+ */
+export const toElementPayload = ({ tle1, tle2, omm }) => (omm ? { omm } : { tle1, tle2 });
+
 /**
  * Propagates a satellite's position at a given time.
- * @param {string} tle1 
- * @param {string} tle2 
+ * @param {Object} satrec 
  * @param {Date} time 
  * @returns {Object|null} ECI coordinates and velocity
  */
-export const propagateSatellite = (tle1, tle2, time) => {
+export const propagateSatellite = (satrec, time) => {
     try {
-        const satrec = satellite.twoline2satrec(tle1, tle2);
         const positionAndVelocity = satellite.propagate(satrec, time);
 
-        if (!positionAndVelocity.position) return null;
+        if (!positionAndVelocity || !positionAndVelocity.position) return null;
 
         return positionAndVelocity;
     } catch (error) {
@@ -33,10 +47,10 @@ export const eciToEcef = (eciPos, time) => {
 
 /**
  * Converts ECEF to Geodetic (Lat, Lon, Alt).
+ * The position is already Earth-fixed, so no sidereal rotation is applied.
  */
-export const ecefToGeodetic = (ecfPos, time) => {
-    const gmst = satellite.gstime(time);
-    return satellite.eciToGeodetic(ecfPos, gmst);
+export const ecefToGeodetic = (ecfPos) => {
+    return satellite.eciToGeodetic(ecfPos, 0);
 };
 
 export const radToDeg = (rad) => (rad * 180) / Math.PI;
@@ -51,21 +65,19 @@ export const formatCoords = (geodetic) => {
 };
 
 /**
- * Calculates the orbital period in minutes from TLE.
+ * Calculates the orbital period in minutes from the satrec mean motion (rad/min).
  */
-export const getOrbitalPeriod = (tle2) => {
-    if (!tle2) return 100;
-    const meanMotion = parseFloat(tle2.substring(52, 63));
-    if (isNaN(meanMotion) || meanMotion === 0) return 100;
-    return (24 * 60) / meanMotion;
+export const getOrbitalPeriod = (satrec) => {
+    if (!satrec || !satrec.no) return 100;
+    return (2 * Math.PI) / satrec.no;
 };
 
 /**
- * Extracts advanced stats and IDs from TLE.
+ * Extracts advanced stats and IDs from a satellite record.
  */
-export const getSatelliteStats = (tle1, tle2, time = new Date()) => {
+export const getSatelliteStats = (sat, time = new Date()) => {
     try {
-        const satrec = satellite.twoline2satrec(tle1, tle2);
+        const { satrec } = sat;
         const pv = satellite.propagate(satrec, time);
 
         // 1. Velocity (km/s)
@@ -78,21 +90,12 @@ export const getSatelliteStats = (tle1, tle2, time = new Date()) => {
             );
         }
 
-        // 2. Apogee/Perigee (km)
-        // a = (mu / n^2)^(1/3)
-        // mu = 398600.4418 km^3/s^2
-        // n = mean motion (rev/day) -> rad/s
-        const n = parseFloat(tle2.substring(52, 63)) * (2 * Math.PI) / 86400; // rad/s
-        const e = parseFloat("0." + tle2.substring(34, 42).trim()); // eccentricity
-        const mu = 398600.4418;
-
-        const a = Math.pow(mu / Math.pow(n, 2), 1 / 3);
-        const perigee = (a * (1 - e)) - EARTH_RADIUS;
-        const apogee = (a * (1 + e)) - EARTH_RADIUS;
+        // 2. Apogee/Perigee (km) and period (min), from the mean motion and eccentricity
+        const { perigee, apogee, period } = meanElements(satrec);
 
         // 3. IDs
-        const noradId = tle2.substring(2, 7).trim();
-        const intlId = tle1.substring(9, 17).trim();
+        const noradId = catalogNumber(sat);
+        const intlId = sat.objectId;
 
         return {
             velocity: velocity.toFixed(3),
@@ -100,7 +103,7 @@ export const getSatelliteStats = (tle1, tle2, time = new Date()) => {
             perigee: perigee.toFixed(2),
             noradId,
             intlId,
-            period: getOrbitalPeriod(tle2).toFixed(2)
+            period: period.toFixed(2)
         };
     } catch (e) {
         return null;
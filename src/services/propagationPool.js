@@ -0,0 +1,109 @@
+import { toElementPayload } from './propagation';
+
+// Floats per satellite in the position buffer: ECI x, y, z (km) and a valid flag
+export const POSITION_STRIDE = 4;
+
+const MAX_WORKERS = 4;
+
+const canShareMemory = () => typeof SharedArrayBuffer !== 'undefined' && self.crossOriginIsolated === true;
+
+/**
+ * Spreads SGP4 propagation for a list of satellites across a pool of workers.
+ *
+ * `positions` holds the latest completed state for every satellite, indexed in
+ * the same order as the input list. When the page is cross-origin isolated the
+ * workers write directly into a SharedArrayBuffer; otherwise each worker
+ * transfers its slice back and it is copied in here.
+ *
+ * Calling `request(time)` while a sweep is still running only records the time;
+ * the newest pending time is dispatched as soon as every worker has reported back,
+ * so a slow sweep drops intermediate frames instead of queueing them.
+ * A worker that errors (e.g. fails to load) is dropped from the pool; its
+ * satellites keep their last state and the remaining workers carry on.
+ */
+export const createPropagationPool = (satellites) => {
+    const count = satellites.length;
+    const shared = canShareMemory();
+    const buffer = shared
+        ? new SharedArrayBuffer(count * POSITION_STRIDE * Float32Array.BYTES_PER_ELEMENT)
+        : new ArrayBuffer(count * POSITION_STRIDE * Float32Array.BYTES_PER_ELEMENT);
+    const positions = new Float32Array(buffer);
+
+    const workerCount = count === 0 ? 0 : Math.max(1, Math.min(MAX_WORKERS, (navigator.hardwareConcurrency || 2) - 1));
+    const chunk = Math.ceil(count / Math.max(workerCount, 1));
+    const workers = [];
+
+    let inFlight = 0;
+    let pendingTime = null;
+    let sweepId = 0;
+
+    const dispatch = (time) => {
+        sweepId++;
+        inFlight = workers.length;
+        workers.forEach(entry => {
+            entry.busy = true;
+            entry.worker.postMessage({ type: 'propagate', time, id: sweepId });
+        });
+    };
+
+    const finishSlice = () => {
+        if (inFlight === 0) return;
+        inFlight--;
+        if (inFlight === 0 && pendingTime !== null) {
+            const next = pendingTime;
+            pendingTime = null;
+            dispatch(next);
+        }
+    };
+
+    for (let w = 0; w < workerCount; w++) {
+        const offset = w * chunk;
+        const slice = satellites.slice(offset, offset + chunk);
+        if (slice.length === 0) break;
+
+        const worker = new Worker(new URL('../workers/propagation.worker.js', import.meta.url), { type: 'module' });
+        const entry = { worker, offset, busy: false };
+        worker.onmessage = (e) => {
+            if (e.data.type !== 'done' || e.data.id !== sweepId) return;
+            if (e.data.positions) positions.set(e.data.positions, offset * POSITION_STRIDE);
+            entry.busy = false;
+            finishSlice();
+        };
+        worker.onerror = (e) => {
+            // Drop the worker so later sweeps only wait for live ones, and count its sweep as finished
+            console.error('[PROPAGATION] Worker error, dropping it:', e.message);
+            worker.terminate();
+            const index = workers.indexOf(entry);
+            if (index !== -1) workers.splice(index, 1);
+            if (entry.busy) {
+                entry.busy = false;
+                finishSlice();
+            }
+        };
+        worker.postMessage({
+            type: 'init',
+            satellites: slice.map(toElementPayload),
+            buffer: shared ? buffer : null,
+            offset
+        });
+        workers.push(entry);
+    }
+
+    console.log(`[PROPAGATION] ${workers.length} workers for ${count} satellites (${shared ? 'shared memory' : 'transfer'} mode)`);
+
+    return {
+        positions,
+        request: (time) => {
+            if (workers.length === 0) return;
+            if (inFlight > 0) {
+                pendingTime = time;
+                return;
+            }
+            dispatch(time);
+        },
+        dispose: () => {
+            workers.forEach(({ worker }) => worker.terminate());
+            workers.length = 0;
+        }
+    };
+};
@@ -0,0 +1,227 @@
+import { catalogNumber, decodeCatalogNumber } from './tle.js';
+import { epochAgeDays } from './elementAge.js';
+import { meanElements, launchYear } from './orbitalElements.js';
+import { daysToDecay } from './lifetime.js';
+
+/**
+ * Search queries over the catalog.
+ *
+ * Plain text keeps the substring search on name, id, NORAD ID and COSPAR designator.
+ * A query containing field terms is structured instead, e.g.
+ *   alt:400..600 inc>97 cat:DEBRIS epoch<7d name:STARLINK*
+ * Every term must match. Numeric fields take `field:a..b` (either end may be left open),
+ * `field>x`, `>=`, `<`, `<=`, `=`, `!=`, and `field:x`, which matches values that round to x
+ * at the precision it was written with. Text fields take `field:value` with `*`/`?` wildcards,
+ * or `field!=value`. Bare words in a structured query are matched like plain text.
+ */
+
+const OPERATORS = ['>=', '<=', '!=', '>', '<', '=', ':'];
+
+// Conversion factors to days for epoch ages and times to decay
+const AGE_UNITS = { '': 1, d: 1, h: 1 / 24, m: 1 / 1440, min: 1 / 1440, w: 7 };
+
+const elementField = (key) => ({ type: 'number', elements: true, value: (sat, ctx) => ctx.elements?.[key] ?? NaN });
+
+export const QUERY_FIELDS = {
+    alt: elementField('meanAltitude'),
+    perigee: elementField('perigee'),
+    apogee: elementField('apogee'),
+    sma: elementField('sma'),
+    inc: elementField('inc'),
+    ecc: elementField('ecc'),
+    raan: elementField('raan'),
+    argp: elementField('argp'),
+    period: elementField('period'),
+    mm: elementField('meanMotion'),
+    bstar: elementField('bstar'),
+    epoch: { type: 'number', units: AGE_UNITS, value: (sat, ctx) => epochAgeDays(sat, ctx.now) },
+    decay: { type: 'number', units: AGE_UNITS, decays: true, value: (sat, ctx) => daysToDecay(ctx.decays.get(sat.id), ctx.now) },
+    launch: { type: 'number', value: (sat) => launchYear(sat) },
+    norad: { type: 'number', parse: decodeCatalogNumber, value: (sat) => Number(catalogNumber(sat)) },
+    name: { type: 'text', value: (sat) => sat.name },
+    cat: { type: 'text', exact: true, value: (sat) => sat.category },
+    regime: { type: 'text', exact: true, value: (sat) => sat.regime },
+    group: { type: 'text', exact: true, value: (sat) => sat.groups },
+    cospar: { type: 'text', value: (sat) => sat.objectId }
+};
+
+const FIELD_ALIASES = {
+    altitude: 'alt',
+    peri: 'perigee',
+    apo: 'apogee',
+    category: 'cat',
+    intl: 'cospar',
+    age: 'epoch',
+    reentry: 'decay'
+};
+
+const TERM_PATTERN = /^([a-z]+)(>=|<=|!=|>|<|=|:)(.*)$/i;
+const TOKEN_PATTERN = /[^\s"]*"[^"]*"|\S+/g;
+
+const unquote = (text) => text.replace(/"/g, '');
+
+/**
+ * Substring match on name, id, NORAD ID (including its Alpha-5 form) and COSPAR designator.
+ */
+export const matchesText = (sat, text) => {
+    const query = text.toLowerCase();
+    if (!query) return true;
+
+    if (sat.name.toLowerCase().includes(query)) return true;
+    if (sat.id.toLowerCase().includes(query)) return true;
+
+    const cleanQuery = query.replace(/[-\s]/g, '');
+
+    const noradId = catalogNumber(sat);
+    if (noradId) {
+        if (cleanQuery && noradId.includes(cleanQuery)) return true;
+        // Alpha-5 form (e.g. searching "a0001" finds 100001)
+        if (decodeCatalogNumber(cleanQuery) === noradId) return true;
+    }
+
+    if (sat.objectId) {
+        // COSPAR designator (YYYY-NNNPPP), carried by both TLE- and OMM-sourced records
+        const objectId = sat.objectId.toLowerCase();
+
+        // 1. Full form (e.g. searching "1998-067")
+        if (objectId.includes(query)) return true;
+
+        // 2. TLE short form (e.g. searching "98067")
+        const shortId = objectId.substring(2).replace('-', '');
+        if (cleanQuery && shortId.includes(cleanQuery)) return true;
+    }
+
+    return false;
+};
+
+const parseNumber = (text, field) => {
+    const raw = field.parse ? field.parse(text) : text;
+    const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-z]*)$/i.exec(raw);
+    if (!match) return null;
+    const unit = match[2].toLowerCase();
+    const factor = field.units ? field.units[unit] : (unit === '' || unit === 'km' ? 1 : undefined);
+    if (factor === undefined) return null;
+
+    // Half a unit in the last written digit, for `field:x` matching
+    const decimals = (match[1].split(/e/i)[0].split('.')[1] || '').length;
+    return { value: parseFloat(match[1]) * factor, tolerance: 0.5 * Math.pow(10, -decimals) * factor };
+};
+
+const compileNumberTerm = (key, field, op, text) => {
+    const read = (part) => (part === '' ? null : parseNumber(part, field));
+
+    if (op === ':' && text.includes('..')) {
+        const [minText, maxText] = text.split('..');
+        const min = read(minText);
+        const max = read(maxText);
+        if ((minText && !min) || (maxText && !max) || (!min && !max)) return { error: `BAD RANGE ${key}:${text}` };
+        return (v) => (!min || v >= min.value) && (!max || v <= max.value);
+    }
+
+    // `field:>x` reads the same as `field>x`
+    const inner = op === ':' ? /^(>=|<=|!=|>|<|=)(.*)$/.exec(text) : null;
+    const operator = inner ? inner[1] : op;
+    const parsed = read(inner ? inner[2] : text);
+    if (!parsed) return { error: `BAD VALUE ${key}${op}${text}` };
+    const { value, tolerance } = parsed;
+
+    // Values are derived floats, so equality uses the same rounding as `field:x`
+    switch (operator) {
+        case '>': return (v) => v > value;
+        case '>=': return (v) => v >= value;
+        case '<': return (v) => v < value;
+        case '<=': return (v) => v <= value;
+        case '!=': return (v) => !(Math.abs(v - value) < tolerance);
+        default: return (v) => Math.abs(v - value) < tolerance;
+    }
+};
+
+const globToRegExp = (glob) => new RegExp(
+    `^${glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`,
+    'i'
+);
+
+const compileTextTerm = (key, field, op, text) => {
+    if (!['=', ':', '!='].includes(op)) return { error: `${key.toUpperCase()} ONLY SUPPORTS : AND !=` };
+    const wanted = text.toLowerCase();
+    let test; // matches one value; list fields (groups) match when any entry does
+    if (/[*?]/.test(text)) {
+        const pattern = globToRegExp(text);
+        test = (v) => pattern.test(v);
+    } else if (field.exact || op === '=') {
+        test = (v) => v.toLowerCase() === wanted;
+    } else {
+        test = (v) => v.toLowerCase().includes(wanted);
+    }
+    const matches = (v) => (Array.isArray(v) ? v.some(test) : test(v));
+    return op === '!=' ? (v) => !matches(v) : matches;
+};
+
+/**
+ * Parses a query into a predicate.
+ * @returns {{ structured: boolean, errors: string[], usesElements: boolean, usesDecays: boolean, terms: Array<{ field, test }>, words: string[] }}
+ */
+export const parseQuery = (text) => {
+    const query = { structured: false, errors: [], usesElements: false, usesDecays: false, terms: [], words: [] };
+    const tokens = text.trim().match(TOKEN_PATTERN) || [];
+
+    for (const token of tokens) {
+        const match = TERM_PATTERN.exec(token);
+        const key = match && (FIELD_ALIASES[match[1].toLowerCase()] || match[1].toLowerCase());
+        const field = key && QUERY_FIELDS[key];
+
+        if (!field) {
+            // "cosmos:" or "iss (zarya)" are ordinary text unless the prefix is a known field
+            query.words.push(unquote(token));
+            continue;
+        }
+
+        query.structured = true;
+        const value = unquote(match[3]);
+        const compiled = field.type === 'number'
+            ? compileNumberTerm(key, field, match[2], value)
+            : compileTextTerm(key, field, match[2], value);
+
+        if (compiled.error) {
+            query.errors.push(compiled.error);
+            continue;
+        }
+        if (field.elements) query.usesElements = true;
+        if (field.decays) query.usesDecays = true;
+        query.terms.push({ field, test: compiled });
+    }
+    return query;
+};
+
+/**
+ * All satellites matching a search string, in catalog order. A query with a term that does not
+ * parse matches nothing, rather than whatever the remaining terms would match. `decays` maps
+ * satellite id to reentry estimate (useDecayEstimates); a `decay` term matches nothing while it
+ * is still null.
+ * @returns {{ matches: Array, structured: boolean, errors: string[] }}
+ */
+export const searchSatellites = (satellites, text, decays = null, now = Date.now()) => {
+    if (!text.trim()) return { matches: [], structured: false, errors: [] };
+
+    const query = parseQuery(text);
+    if (!query.structured) {
+        // Plain searches match the whole string, so names with spaces still work
+        return { matches: satellites.filter(s => matchesText(s, text.trim())), structured: false, errors: [] };
+    }
+
+    if (query.errors.length > 0) return { matches: [], structured: true, errors: query.errors };
+    if (query.usesDecays && !decays) return { matches: [], structured: true, errors: ['DECAY ESTIMATES STILL RUNNING'] };
+
+    const ctx = { now, decays, elements: null };
+    const matches = satellites.filter(sat => {
+        ctx.elements = query.usesElements ? meanElements(sat.satrec) : null;
+        for (const { field, test } of query.terms) {
+            const value = field.value(sat, ctx);
+            if (value === undefined || value === null || (typeof value === 'number' && isNaN(value))) return false;
+            if (!test(value)) return false;
+        }
+        return query.words.every(word => matchesText(sat, word));
+    });
+
+    return { matches, structured: true, errors: query.errors };
+};
@@ -4,3 +4,10 @@ export const SIM_STATE = {
     speed: 1,
     paused: false
 };
+
+/**
+ * Moves the simulation clock to an absolute instant (ms since epoch).
+ */
+export const setSimTime = (time) => {
+    SIM_STATE.simTime = time;
+};
@@ -0,0 +1,123 @@
+import * as satellite from 'satellite.js';
+
+/**
+ * Solar ephemeris and Earth-shadow geometry in the ECI frame.
+ */
+
+const AU = 149597870.7; // km
+const SUN_RADIUS = 696000; // km
+const EARTH_RADIUS_EQ = 6378.137; // km
+const DEG = Math.PI / 180;
+const JD_UNIX_EPOCH = 2440587.5;
+
+export const ILLUMINATION = {
+    SUNLIT: 'SUNLIT',
+    PENUMBRA: 'PENUMBRA',
+    UMBRA: 'UMBRA'
+};
+
+export const DEFAULT_ECLIPSE_SEARCH = {
+    hours: 24,
+    stepSeconds: 30
+};
+
+/**
+ * Geocentric Sun position (km, mean equator and equinox of date, which SGP4's TEME
+ * matches to well within the model's 0.01 degree accuracy).
+ * Low-precision series from the Astronomical Almanac (Vallado, Algorithm 29).
+ */
+export const sunPosition = (time) => {
+    const jd = time / 86400000 + JD_UNIX_EPOCH;
+    const t = (jd - 2451545.0) / 36525;
+
+    const meanLongitude = 280.460 + 36000.771 * t;
+    const meanAnomaly = (357.5291092 + 35999.05034 * t) * DEG;
+    const eclipticLongitude = (meanLongitude
+        + 1.914666471 * Math.sin(meanAnomaly)
+        + 0.019994643 * Math.sin(2 * meanAnomaly)) * DEG;
+    const obliquity = (23.439291 - 0.0130042 * t) * DEG;
+    const distance = (1.000140612
+        - 0.016708617 * Math.cos(meanAnomaly)
+        - 0.000139589 * Math.cos(2 * meanAnomaly)) * AU;
+
+    return {
+        x: distance * Math.cos(eclipticLongitude),
+        y: distance * Math.cos(obliquity) * Math.sin(eclipticLongitude),
+        z: distance * Math.sin(obliquity) * Math.sin(eclipticLongitude)
+    };
+};
+
+/**
+ * Conical shadow model: compares the apparent radii of the Sun and the Earth as seen
+ * from the satellite with their angular separation.
+ * @param {{x,y,z}} sat satellite ECI position (km)
+ * @param {{x,y,z}} sun Sun ECI position (km)
+ */
+export const eclipseState = (sat, sun) => {
+    const r = Math.sqrt(sat.x * sat.x + sat.y * sat.y + sat.z * sat.z);
+    const dx = sun.x - sat.x;
+    const dy = sun.y - sat.y;
+    const dz = sun.z - sat.z;
+    const d = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+    // Angle between the directions to the Earth's centre and to the Sun
+    const cosSeparation = -(sat.x * dx + sat.y * dy + sat.z * dz) / (r * d);
+    const separation = Math.acos(Math.min(Math.max(cosSeparation, -1), 1));
+
+    const sunRadius = Math.asin(Math.min(SUN_RADIUS / d, 1));
+    const earthRadius = Math.asin(Math.min(EARTH_RADIUS_EQ / r, 1));
+
+    if (separation >= sunRadius + earthRadius) return ILLUMINATION.SUNLIT;
+    if (separation <= earthRadius - sunRadius) return ILLUMINATION.UMBRA;
+    return ILLUMINATION.PENUMBRA;
+};
+
+const isShadowed = (satrec, time) => {
+    const pv = satellite.propagate(satrec, new Date(time));
+    if (!pv || !pv.position) return null;
+    return eclipseState(pv.position, sunPosition(time)) !== ILLUMINATION.SUNLIT;
+};
+
+/**
+ * Bisects a shadow transition between a and b (ms) down to a second.
+ */
+const refineTransition = (satrec, a, b, shadowAtA) => {
+    let lo = a;
+    let hi = b;
+    while (hi - lo > 1000) {
+        const mid = (lo + hi) / 2;
+        if (isShadowed(satrec, mid) === shadowAtA) lo = mid;
+        else hi = mid;
+    }
+    return Math.round(hi);
+};
+
+/**
+ * Next shadow entry and exit (penumbra boundary) after startTime.
+ * Either is null when it doesn't happen within the search window.
+ * @returns {{ entry: number|null, exit: number|null }}
+ */
+export const findEclipseEvents = (satrec, startTime, options = {}) => {
+    const { hours, stepSeconds } = { ...DEFAULT_ECLIPSE_SEARCH, ...options };
+    const step = stepSeconds * 1000;
+    const end = startTime + hours * 3600000;
+    const events = { entry: null, exit: null };
+
+    let prevTime = startTime;
+    let prevShadow = isShadowed(satrec, startTime);
+    if (prevShadow === null) return events;
+
+    for (let time = startTime + step; time <= end; time += step) {
+        const shadow = isShadowed(satrec, time);
+        if (shadow === null) break;
+        if (shadow !== prevShadow) {
+            const transition = refineTransition(satrec, prevTime, time, prevShadow);
+            if (shadow && events.entry === null) events.entry = transition;
+            if (!shadow && events.exit === null) events.exit = transition;
+            if (events.entry !== null && events.exit !== null) break;
+        }
+        prevTime = time;
+        prevShadow = shadow;
+    }
+    return events;
+};
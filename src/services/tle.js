@@ -0,0 +1,241 @@
+import { parseOmmEpoch, formatOmmEpoch } from './omm.js';
+
+/**
+ * Column-level parsing and formatting of two-line element sets.
+ * Kept free of browser APIs so the serverless functions can import it as well.
+ */
+
+/**
+ * Parses TLE "implied decimal point" exponent fields, e.g. " 10270-3" -> 0.10270e-3.
+ */
+const parseExponent = (field) => {
+    const text = field.trim();
+    if (!text) return 0;
+    const sign = text[0] === '-' ? -1 : 1;
+    const body = text.replace(/^[+-]/, '');
+    const match = body.match(/^(\d+)([+-]\d)$/);
+    if (!match) return sign * parseFloat(`0.${body}`) || 0;
+    return sign * parseFloat(`0.${match[1]}e${match[2]}`);
+};
+
+/**
+ * Converts the two-digit TLE epoch year and fractional day of year to ms since epoch.
+ */
+const parseEpoch = (yearField, dayField) => {
+    const yy = parseInt(yearField, 10);
+    const year = yy < 57 ? 2000 + yy : 1900 + yy;
+    const day = parseFloat(dayField);
+    return Date.UTC(year, 0, 1) + (day - 1) * 86400000;
+};
+
+// Alpha-5 leading letters skip I and O so they can't be mistaken for digits: A=10 ... Z=33
+const ALPHA5_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const ALPHA5_MAX = 339999;
+
+/**
+ * Decodes a catalog number field to its plain decimal string.
+ * Accepts 5-column TLE values, Alpha-5 values ("A0001" -> "100001") and longer OMM numbers.
+ * Returns '' when the field is not a catalog number.
+ */
+export const decodeCatalogNumber = (field) => {
+    if (field === undefined || field === null) return '';
+    const text = String(field).trim().toUpperCase();
+    if (/^\d+$/.test(text)) return String(parseInt(text, 10));
+    const match = text.match(/^([A-Z])(\d{4})$/);
+    if (!match) return '';
+    const index = ALPHA5_LETTERS.indexOf(match[1]);
+    if (index < 0) return '';
+    return String((index + 10) * 10000 + parseInt(match[2], 10));
+};
+
+/**
+ * Encodes a catalog number for the 5-column TLE field, using Alpha-5 above 99999.
+ * Returns null when the number cannot be represented (above 339999).
+ */
+export const encodeCatalogNumber = (catalogNumber) => {
+    const num = Number(catalogNumber);
+    if (!Number.isInteger(num) || num < 0 || num > ALPHA5_MAX) return null;
+    if (num <= 99999) return String(num).padStart(5, '0');
+    return ALPHA5_LETTERS[Math.floor(num / 10000) - 10] + String(num % 10000).padStart(4, '0');
+};
+
+/**
+ * The catalog number of a satellite record, whatever its element source.
+ */
+export const catalogNumber = (sat) => {
+    if (!sat) return '';
+    if (sat.omm) return decodeCatalogNumber(sat.omm.NORAD_CAT_ID);
+    if (sat.tle2 && sat.tle2.length > 7) return decodeCatalogNumber(sat.tle2.substring(2, 7));
+    return sat.id ? decodeCatalogNumber(String(sat.id).split('-')[0]) : '';
+};
+
+/**
+ * Expands a TLE international designator (YYNNNPPP) to COSPAR form (YYYY-NNNPPP).
+ */
+export const formatIntlId = (rawId) => {
+    if (!rawId) return '';
+    const yy = parseInt(rawId.substring(0, 2), 10);
+    if (isNaN(yy)) return rawId;
+    const fullYear = yy >= 57 ? 1900 + yy : 2000 + yy;
+    return `${fullYear}-${rawId.substring(2).trim()}`;
+};
+
+/**
+ * Extracts every field of a TLE pair.
+ * Angles are in degrees, mean motion in rev/day, epoch in ms since epoch.
+ */
+export const parseTLE = (tle1, tle2) => {
+    if (!tle1 || !tle2 || tle1.length < 64 || tle2.length < 63) return null;
+    return {
+        noradId: decodeCatalogNumber(tle2.substring(2, 7)),
+        classification: tle1[7] || 'U',
+        intlId: tle1.substring(9, 17).trim(),
+        epoch: parseEpoch(tle1.substring(18, 20), tle1.substring(20, 32)),
+        meanMotionDot: parseFloat(tle1.substring(33, 43)) || 0,
+        meanMotionDdot: parseExponent(tle1.substring(44, 52)),
+        bstar: parseExponent(tle1.substring(53, 61)),
+        ephemerisType: parseInt(tle1[62], 10) || 0,
+        elementSetNo: parseInt(tle1.substring(64, 68), 10) || 0,
+        inclination: parseFloat(tle2.substring(8, 16)),
+        raan: parseFloat(tle2.substring(17, 25)),
+        eccentricity: parseFloat(`0.${tle2.substring(26, 33).trim()}`),
+        argOfPericenter: parseFloat(tle2.substring(34, 42)),
+        meanAnomaly: parseFloat(tle2.substring(43, 51)),
+        meanMotion: parseFloat(tle2.substring(52, 63)),
+        revAtEpoch: parseInt(tle2.substring(63, 68), 10) || 0
+    };
+};
+
+/**
+ * The OMM-style identifying fields of a TLE, so TLE- and OMM-sourced records look alike.
+ */
+export const tleMetadata = (tle1, tle2) => {
+    const fields = parseTLE(tle1, tle2);
+    if (!fields) return {};
+    return {
+        objectId: formatIntlId(fields.intlId),
+        epoch: formatOmmEpoch(fields.epoch),
+        elementSetNo: fields.elementSetNo
+    };
+};
+
+/**
+ * Builds a CCSDS OMM (JSON keyword form) record from a satellite's TLE.
+ */
+export const tleToOmm = (sat) => {
+    const fields = parseTLE(sat.tle1, sat.tle2);
+    if (!fields) return null;
+    return {
+        OBJECT_NAME: sat.name,
+        OBJECT_ID: formatIntlId(fields.intlId),
+        EPOCH: formatOmmEpoch(fields.epoch),
+        MEAN_MOTION: fields.meanMotion,
+        ECCENTRICITY: fields.eccentricity,
+        INCLINATION: fields.inclination,
+        RA_OF_ASC_NODE: fields.raan,
+        ARG_OF_PERICENTER: fields.argOfPericenter,
+        MEAN_ANOMALY: fields.meanAnomaly,
+        EPHEMERIS_TYPE: fields.ephemerisType,
+        CLASSIFICATION_TYPE: fields.classification,
+        NORAD_CAT_ID: Number(fields.noradId),
+        ELEMENT_SET_NO: fields.elementSetNo,
+        REV_AT_EPOCH: fields.revAtEpoch,
+        BSTAR: fields.bstar,
+        MEAN_MOTION_DOT: fields.meanMotionDot,
+        MEAN_MOTION_DDOT: fields.meanMotionDdot
+    };
+};
+
+/**
+ * Modulo-10 checksum over the first 68 columns (digits count at face value, '-' counts as 1).
+ */
+export const computeChecksum = (line) => {
+    let sum = 0;
+    for (let i = 0; i < 68; i++) {
+        const char = line[i];
+        if (char >= '0' && char <= '9') sum += parseInt(char, 10);
+        else if (char === '-') sum += 1;
+    }
+    return sum % 10;
+};
+
+/**
+ * Formats a value in the TLE "implied decimal point" form, e.g. 0.0001027 -> " 10270-3".
+ */
+const formatExponent = (value) => {
+    if (!value) return ' 00000-0';
+    const sign = value < 0 ? '-' : ' ';
+    let exponent = Math.floor(Math.log10(Math.abs(value))) + 1;
+    let digits = Math.round((Math.abs(value) / Math.pow(10, exponent)) * 1e5);
+    if (digits >= 1e5) {
+        digits = 1e4;
+        exponent += 1;
+    }
+    if (Math.abs(exponent) > 9) return ' 00000-0';
+    return `${sign}${String(digits).padStart(5, '0')}${exponent < 0 ? '-' : '+'}${Math.abs(exponent)}`;
+};
+
+const formatAngle = (value) => Number(value).toFixed(4).padStart(8, ' ');
+
+/**
+ * Rebuilds TLE lines from an OMM record.
+ * Returns null when the catalog number does not fit the 5-column field, even as Alpha-5.
+ */
+export const ommToTle = (omm) => {
+    const satnum = encodeCatalogNumber(omm.NORAD_CAT_ID);
+    if (!satnum) return null;
+
+    const epoch = new Date(parseOmmEpoch(omm.EPOCH));
+    if (isNaN(epoch.getTime())) return null;
+    const year = epoch.getUTCFullYear();
+    const dayOfYear = (epoch.getTime() - Date.UTC(year, 0, 1)) / 86400000 + 1;
+
+    const objectId = omm.OBJECT_ID || '';
+    const intlId = /^\d{4}-/.test(objectId) ? objectId.substring(2).replace('-', '') : '';
+    const ndot = Number(omm.MEAN_MOTION_DOT) || 0;
+    const ndotText = `${ndot < 0 ? '-' : ' '}${Math.abs(ndot).toFixed(8).substring(1)}`;
+
+    const line1 = [
+        '1 ',
+        satnum,
+        omm.CLASSIFICATION_TYPE || 'U',
+        ' ',
+        intlId.padEnd(8, ' ').substring(0, 8),
+        ' ',
+        String(year % 100).padStart(2, '0'),
+        dayOfYear.toFixed(8).padStart(12, '0'),
+        ' ',
+        ndotText,
+        ' ',
+        formatExponent(Number(omm.MEAN_MOTION_DDOT) || 0),
+        ' ',
+        formatExponent(Number(omm.BSTAR) || 0),
+        ' ',
+        String(omm.EPHEMERIS_TYPE || 0),
+        ' ',
+        String((Number(omm.ELEMENT_SET_NO) || 0) % 10000).padStart(4, ' ')
+    ].join('');
+
+    const line2 = [
+        '2 ',
+        satnum,
+        ' ',
+        formatAngle(omm.INCLINATION),
+        ' ',
+        formatAngle(omm.RA_OF_ASC_NODE),
+        ' ',
+        Number(omm.ECCENTRICITY).toFixed(7).substring(2),
+        ' ',
+        formatAngle(omm.ARG_OF_PERICENTER),
+        ' ',
+        formatAngle(omm.MEAN_ANOMALY),
+        ' ',
+        Number(omm.MEAN_MOTION).toFixed(8).padStart(11, ' '),
+        String((Number(omm.REV_AT_EPOCH) || 0) % 100000).padStart(5, ' ')
+    ].join('');
+
+    return {
+        tle1: line1 + computeChecksum(line1),
+        tle2: line2 + computeChecksum(line2)
+    };
+};
@@ -0,0 +1,91 @@
+import { SIM_STATE } from './simulationState';
+import { REGIMES } from './orbitRegime';
+
+/**
+ * Latest camera pose, written every frame by <CameraController /> so code outside the
+ * canvas can read it. `pending` holds a pose waiting to be applied (deep link, history).
+ */
+export const CAMERA_STATE = {
+    position: null,
+    target: null,
+    pending: null
+};
+
+export const CATEGORY_KEYS = ['STATION', 'PAYLOAD', 'DEBRIS', 'ONLY_SELECTED'];
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const encodeVector = (v) => v.map(round).join(',');
+
+const decodeVector = (text) => {
+    if (!text) return null;
+    const values = text.split(',').map(Number);
+    return values.length === 3 && values.every(Number.isFinite) ? values : null;
+};
+
+/**
+ * Serializes the shareable view state into URL query parameters.
+ */
+export const encodeViewState = ({ selectedSatId, speed, paused, categoryFilters, regimeFilters, groupFilter, search }) => {
+    const params = new URLSearchParams();
+    if (selectedSatId) params.set('sel', selectedSatId);
+    params.set('t', new Date(SIM_STATE.simTime).toISOString());
+    if (speed !== 1) params.set('rate', String(speed));
+    if (paused) params.set('paused', '1');
+    params.set('cats', CATEGORY_KEYS.filter(key => categoryFilters[key]).join(','));
+    if (REGIMES.some(regime => !regimeFilters[regime])) {
+        params.set('regimes', REGIMES.filter(regime => regimeFilters[regime]).join(','));
+    }
+    if (groupFilter.length) params.set('groups', groupFilter.join(','));
+    if (CAMERA_STATE.position) params.set('cam', encodeVector(CAMERA_STATE.position));
+    if (CAMERA_STATE.target) params.set('target', encodeVector(CAMERA_STATE.target));
+    if (search) params.set('q', search);
+    return params.toString();
+};
+
+export const DEFAULT_CATEGORY_FILTERS = {
+    STATION: true,
+    PAYLOAD: true,
+    DEBRIS: true,
+    ONLY_SELECTED: false
+};
+
+export const DEFAULT_REGIME_FILTERS = Object.fromEntries(REGIMES.map(regime => [regime, true]));
+
+/**
+ * Reads view state from a query string, falling back to the defaults that
+ * encodeViewState leaves out. `simTime` and `camera` are only set when present.
+ */
+export const decodeViewState = (queryString) => {
+    const params = new URLSearchParams(queryString);
+    const rate = parseFloat(params.get('rate'));
+    const state = {
+        selectedSatId: params.get('sel') || null,
+        speed: Number.isFinite(rate) && rate !== 0 ? rate : 1,
+        paused: params.get('paused') === '1',
+        categoryFilters: DEFAULT_CATEGORY_FILTERS,
+        regimeFilters: DEFAULT_REGIME_FILTERS,
+        groupFilter: [],
+        search: params.get('q') || ''
+    };
+
+    if (params.has('cats')) {
+        const enabled = params.get('cats').split(',').map(c => c.trim().toUpperCase());
+        state.categoryFilters = Object.fromEntries(CATEGORY_KEYS.map(key => [key, enabled.includes(key)]));
+    }
+
+    if (params.has('regimes')) {
+        const enabled = params.get('regimes').split(',').map(r => r.trim().toUpperCase());
+        state.regimeFilters = Object.fromEntries(REGIMES.map(regime => [regime, enabled.includes(regime)]));
+    }
+
+    if (params.get('groups')) state.groupFilter = params.get('groups').split(',').map(g => g.trim()).filter(Boolean);
+
+    const time = Date.parse(params.get('t') || '');
+    if (!isNaN(time)) state.simTime = time;
+
+    const position = decodeVector(params.get('cam'));
+    if (position) state.camera = { position, target: decodeVector(params.get('target')) || [0, 0, 0] };
+
+    return state;
+};
@@ -0,0 +1,22 @@
+import { buildSatrec } from '../services/propagation';
+import { screenConjunctions } from '../services/conjunction';
+
+// Satrecs are rebuilt here from the element data; the main thread only sends plain data
+self.onmessage = (e) => {
+    const { satellites, options } = e.data;
+
+    try {
+        const sats = satellites.map(sat => ({
+            ...sat,
+            satrec: buildSatrec(sat)
+        }));
+
+        const events = screenConjunctions(sats, options, (progress) => {
+            self.postMessage({ type: 'progress', progress });
+        });
+
+        self.postMessage({ type: 'result', events });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,24 @@
+import { buildSatrec } from '../services/propagation';
+import { estimateDecay } from '../services/lifetime';
+
+const PROGRESS_EVERY = 200; // objects between progress messages
+
+// Satrecs are rebuilt here from the element data; the main thread only sends plain data
+self.onmessage = (e) => {
+    const { satellites } = e.data;
+
+    try {
+        const decays = [];
+        satellites.forEach((sat, i) => {
+            const decay = estimateDecay(buildSatrec(sat));
+            if (decay) decays.push([sat.id, decay]);
+            if ((i + 1) % PROGRESS_EVERY === 0) {
+                self.postMessage({ type: 'progress', progress: (i + 1) / satellites.length });
+            }
+        });
+
+        self.postMessage({ type: 'result', decays });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
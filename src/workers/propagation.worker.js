@@ -0,0 +1,53 @@
+import * as satellite from 'satellite.js';
+import { buildSatrec } from '../services/propagation';
+
+// Floats per satellite in the position buffer: ECI x, y, z (km) and a valid flag
+const STRIDE = 4;
+
+let satrecs = [];
+let view = null;
+
+const propagateAll = (time) => {
+    const out = view || new Float32Array(satrecs.length * STRIDE);
+    const date = new Date(time);
+
+    for (let i = 0; i < satrecs.length; i++) {
+        const o = i * STRIDE;
+        const pv = satrecs[i] ? satellite.propagate(satrecs[i], date) : null;
+        if (pv && pv.position && !isNaN(pv.position.x)) {
+            out[o] = pv.position.x;
+            out[o + 1] = pv.position.y;
+            out[o + 2] = pv.position.z;
+            out[o + 3] = 1;
+        } else {
+            out[o + 3] = 0;
+        }
+    }
+    return out;
+};
+
+self.onmessage = (e) => {
+    const msg = e.data;
+
+    if (msg.type === 'init') {
+        satrecs = msg.satellites.map(sat => {
+            try {
+                return buildSatrec(sat);
+            } catch {
+                return null;
+            }
+        });
+        // With a SharedArrayBuffer we write straight into our slice of the shared positions
+        view = msg.buffer ? new Float32Array(msg.buffer, msg.offset * STRIDE * 4, satrecs.length * STRIDE) : null;
+        return;
+    }
+
+    if (msg.type === 'propagate') {
+        const out = propagateAll(msg.time);
+        if (view) {
+            self.postMessage({ type: 'done', id: msg.id });
+        } else {
+            self.postMessage({ type: 'done', id: msg.id, positions: out }, [out.buffer]);
+        }
+    }
+};
@@ -1,10 +1,20 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Cross-origin isolation lets the propagation workers share one position buffer (SharedArrayBuffer)
+const isolationHeaders = {
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Embedder-Policy': 'credentialless'
+}
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  preview: {
+    headers: isolationHeaders
+  },
   server: {
+    headers: isolationHeaders,
     proxy: {
       '/api-celestrak': {
         target: 'https://celestrak.org',